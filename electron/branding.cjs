@@ -0,0 +1,89 @@
+const fs = require("fs");
+
+const WATERMARK_POSITIONS = {
+  "top-left": ["M", "M"],
+  "top-right": ["W-w-M", "M"],
+  "bottom-left": ["M", "H-h-M"],
+  "bottom-right": ["W-w-M", "H-h-M"],
+  center: ["(W-w)/2", "(H-h)/2"]
+};
+
+// Logo over the framed picture: width is a share of the canvas width, the
+// margin is a share of the canvas width too so it stays even on every side.
+function applyWatermark(graph, source, settings, canvas) {
+  const logoPath = settings?.watermarkPath;
+  if (!settings?.watermarkEnabled || !logoPath || !fs.existsSync(logoPath)) return source;
+
+  const scale = Math.min(Math.max(Number(settings.watermarkScale ?? 15), 2), 100) / 100;
+  const opacity = Math.min(Math.max(Number(settings.watermarkOpacity ?? 80), 0), 100) / 100;
+  const margin = Math.round(
+    (canvas.width * Math.min(Math.max(Number(settings.watermarkMarginPct ?? 4), 0), 25)) / 100
+  );
+  const logoWidth = Math.max(Math.round((canvas.width * scale) / 2) * 2, 2);
+  const [x, y] = (WATERMARK_POSITIONS[settings.watermarkPosition] || WATERMARK_POSITIONS["top-right"])
+    .map((expr) => expr.replace("M", String(margin)));
+
+  const logoInput = graph.addInput(["-loop", "1", "-i", logoPath]);
+  const logo = graph.chain(
+    `${logoInput}:v`,
+    `scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${opacity.toFixed(2)}`,
+    graph.next()
+  );
+  return graph.chain([source, logo], `overlay=${x}:${y}:shortest=1`, graph.next());
+}
+
+function silence(graph, duration) {
+  return graph.chain(
+    [],
+    `anullsrc=r=48000:cl=stereo,atrim=0:${duration.toFixed(3)}`,
+    graph.next("a")
+  );
+}
+
+function normalizeAudio(graph, source, duration) {
+  return graph.chain(
+    source,
+    `aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo,apad,atrim=0:${duration.toFixed(3)},asetpts=PTS-STARTPTS`,
+    graph.next("a")
+  );
+}
+
+// Intro/outro clips are fitted (letterboxed) to the canvas at the main rate and
+// concatenated around the finished main segment, so its captions keep their
+// own timing. Missing audio on any part is filled with silence.
+function applyBumpers(graph, main, bumpers, canvas, rate, duration) {
+  const parts = [bumpers?.intro, bumpers?.outro].filter(Boolean);
+  if (!parts.length) return { ...main, duration };
+
+  const { width, height } = canvas;
+  const segments = [];
+  const addBumper = (bumper) => {
+    const input = graph.addInput(["-i", bumper.path]);
+    const video = graph.chain(
+      `${input}:v`,
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,fps=${rate},format=yuv420p`,
+      graph.next()
+    );
+    const audio = bumper.hasAudio
+      ? normalizeAudio(graph, `${input}:a`, bumper.duration)
+      : silence(graph, bumper.duration);
+    segments.push({ video, audio });
+  };
+
+  if (bumpers.intro) addBumper(bumpers.intro);
+  segments.push({
+    video: graph.chain(main.video, "format=yuv420p,setsar=1", graph.next()),
+    audio: main.audio ? normalizeAudio(graph, main.audio, duration) : silence(graph, duration)
+  });
+  if (bumpers.outro) addBumper(bumpers.outro);
+
+  const labels = segments.flatMap((segment) => [segment.video, segment.audio]);
+  const [video, audio] = [graph.next(), graph.next("a")];
+  graph.chains.push(
+    `${labels.map((label) => `[${label}]`).join("")}concat=n=${segments.length}:v=1:a=1[${video}][${audio}]`
+  );
+  const total = parts.reduce((sum, bumper) => sum + bumper.duration, duration);
+  return { video, audio, duration: total };
+}
+
+module.exports = { applyWatermark, applyBumpers };
@@ -0,0 +1,183 @@
+// Caption style presets. Built-ins ship with the app; user presets are stored
+// in userData and a user preset with a built-in's id overrides it, so deleting
+// that override resets the built-in.
+
+const CAPTION_STYLE_DEFAULTS = {
+  name: "Custom",
+  font: "Segoe UI Semibold",
+  sizeOffset: 0,
+  bold: false,
+  italic: false,
+  uppercase: false,
+  primaryColor: "#ffffff",
+  outlineColor: "#111111",
+  outline: 3,
+  shadow: 1,
+  box: false,
+  boxOpacity: 100,
+  highlightColor: "#ffd400",
+  highlightScale: 108,
+  marginH: 60,
+  marginV: 80
+};
+
+const BUILTIN_CAPTION_STYLES = [
+  { id: "clean", name: "Clean" },
+  {
+    id: "neon",
+    name: "Neon",
+    font: "Space Grotesk",
+    primaryColor: "#f5ffe8",
+    outlineColor: "#a9c931",
+    outline: 4,
+    shadow: 2,
+    highlightColor: "#ff4fd8"
+  },
+  {
+    id: "boxed",
+    name: "Boxed",
+    font: "IBM Plex Sans",
+    shadow: 0,
+    box: true,
+    highlightColor: "#4fc3ff",
+    highlightScale: 100
+  },
+  {
+    id: "punchy",
+    name: "Punchy",
+    font: "Impact",
+    sizeOffset: 4,
+    outlineColor: "#000000",
+    outline: 4,
+    shadow: 2,
+    highlightColor: "#ffe600",
+    highlightScale: 115
+  }
+];
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+function normalizeHex(value, fallback) {
+  const match = String(value || "").match(/^#?([0-9a-f]{6})$/i);
+  return match ? `#${match[1].toLowerCase()}` : fallback;
+}
+
+// Fills gaps with defaults and clamps everything, so presets from disk or an
+// imported file can go straight into an ASS style line.
+function normalizeCaptionStyle(style) {
+  const merged = { ...CAPTION_STYLE_DEFAULTS, ...(style || {}) };
+  const defaults = CAPTION_STYLE_DEFAULTS;
+  return {
+    id: String(merged.id || `style-${Date.now()}`),
+    name: String(merged.name || defaults.name).trim().slice(0, 60) || defaults.name,
+    // Commas would break the comma-separated Style line.
+    font: String(merged.font || "").replace(/[,\r\n]/g, " ").trim() || defaults.font,
+    sizeOffset: Math.round(clampNumber(merged.sizeOffset, -24, 48, 0)),
+    bold: Boolean(merged.bold),
+    italic: Boolean(merged.italic),
+    uppercase: Boolean(merged.uppercase),
+    primaryColor: normalizeHex(merged.primaryColor, defaults.primaryColor),
+    outlineColor: normalizeHex(merged.outlineColor, defaults.outlineColor),
+    outline: clampNumber(merged.outline, 0, 12, defaults.outline),
+    shadow: clampNumber(merged.shadow, 0, 8, defaults.shadow),
+    box: Boolean(merged.box),
+    boxOpacity: Math.round(clampNumber(merged.boxOpacity, 0, 100, defaults.boxOpacity)),
+    highlightColor: normalizeHex(merged.highlightColor, defaults.highlightColor),
+    highlightScale: Math.round(clampNumber(merged.highlightScale, 80, 160, defaults.highlightScale)),
+    marginH: Math.round(clampNumber(merged.marginH, 0, 400, defaults.marginH)),
+    marginV: Math.round(clampNumber(merged.marginV, 0, 600, defaults.marginV))
+  };
+}
+
+// Built-ins first (with any override applied), then the user's own presets.
+function mergeCaptionStyles(userStyles) {
+  const stored = (Array.isArray(userStyles) ? userStyles : []).filter((style) => style?.id);
+  const builtIns = BUILTIN_CAPTION_STYLES.map((builtIn) => {
+    const override = stored.find((style) => style.id === builtIn.id);
+    return {
+      ...normalizeCaptionStyle({ ...builtIn, ...override }),
+      builtIn: true,
+      customized: Boolean(override)
+    };
+  });
+  const custom = stored
+    .filter((style) => !BUILTIN_CAPTION_STYLES.some((builtIn) => builtIn.id === style.id))
+    .map((style) => ({ ...normalizeCaptionStyle(style), builtIn: false, customized: true }));
+  return [...builtIns, ...custom];
+}
+
+// The renderer sends the chosen preset along with its id; older settings only
+// carry the id of a built-in.
+function resolveCaptionStyle(settings) {
+  const id = settings?.captionStyle || "clean";
+  const preset = settings?.captionStylePreset;
+  if (preset && preset.id === id) return normalizeCaptionStyle(preset);
+  const builtIn =
+    BUILTIN_CAPTION_STYLES.find((style) => style.id === id) || BUILTIN_CAPTION_STYLES[0];
+  return normalizeCaptionStyle(builtIn);
+}
+
+function hexToBgr(hex) {
+  const value = normalizeHex(hex, "#ffffff").slice(1).toUpperCase();
+  return `${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`;
+}
+
+// Style colors are &HAABBGGRR with 00 meaning opaque.
+function toAssColor(hex, opacity = 100) {
+  const alpha = Math.round(((100 - opacity) / 100) * 255)
+    .toString(16)
+    .toUpperCase()
+    .padStart(2, "0");
+  return `&H${alpha}${hexToBgr(hex)}`;
+}
+
+// Override tags take the color without alpha: \c&HBBGGRR&.
+function toAssOverrideColor(hex) {
+  return `&H${hexToBgr(hex)}&`;
+}
+
+// With BorderStyle 3 libass draws the box in the outline color, so the box
+// opacity is the outline alpha.
+function buildCaptionStyleLine(style, { fontSize, alignment, marginV }) {
+  return [
+    "Style: Default",
+    style.font,
+    fontSize + style.sizeOffset,
+    toAssColor(style.primaryColor),
+    "&H00000000",
+    toAssColor(style.outlineColor, style.box ? style.boxOpacity : 100),
+    "&H80000000",
+    style.bold ? -1 : 0,
+    style.italic ? -1 : 0,
+    0,
+    0,
+    100,
+    100,
+    0,
+    0,
+    style.box ? 3 : 1,
+    style.outline,
+    style.shadow,
+    alignment,
+    style.marginH,
+    style.marginH,
+    marginV ?? style.marginV,
+    1
+  ].join(",");
+}
+
+function formatCaptionText(style, text) {
+  return style.uppercase ? text.toLocaleUpperCase() : text;
+}
+
+module.exports = {
+  normalizeCaptionStyle,
+  mergeCaptionStyles,
+  resolveCaptionStyle,
+  buildCaptionStyleLine,
+  formatCaptionText,
+  toAssOverrideColor
+};
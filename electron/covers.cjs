@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// thumbnail keeps a batch of frames in memory, so the branch is thinned out
+// first: a batch never holds more than this many full-size frames.
+const MAX_BATCH_FRAMES = 24;
+const MAX_COVERS = 6;
+
+function resolveCoverCount(settings) {
+  return Math.min(Math.max(Math.round(Number(settings?.coverCount ?? 0)), 0), MAX_COVERS);
+}
+
+function coverPattern(outputPath) {
+  const { dir, name } = path.parse(outputPath);
+  return path.join(dir, `${name}-cover-%d.jpg`);
+}
+
+// Splits the framed picture (before captions) into a cover branch. One
+// candidate is picked per equal slice of the clip by the thumbnail filter,
+// which favours the most representative, well-exposed frame of each batch.
+function applyCoverBranch(graph, source, count, duration) {
+  if (!count) return { video: source, cover: null };
+  const [video, branch] = [graph.next(), graph.next()];
+  graph.chains.push(`[${source}]split=2[${video}][${branch}]`);
+  const rate = Math.min(2, (MAX_BATCH_FRAMES * count) / Math.max(duration, 1));
+  const batch = Math.max(Math.floor((duration * rate) / count), 1);
+  const cover = graph.chain(
+    branch,
+    `fps=${rate.toFixed(3)},thumbnail=n=${batch},setsar=1`,
+    graph.next()
+  );
+  return { video, cover };
+}
+
+function buildCoverOutputArgs(cover, count, outputPath) {
+  return ["-map", `[${cover}]`, "-frames:v", String(count), "-q:v", "2", coverPattern(outputPath)];
+}
+
+function listCovers(outputPath, count) {
+  const pattern = coverPattern(outputPath);
+  return Array.from({ length: count }, (_, index) => pattern.replace("%d", String(index + 1))).filter(
+    (coverPath) => fs.existsSync(coverPath)
+  );
+}
+
+module.exports = {
+  MAX_COVERS,
+  resolveCoverCount,
+  applyCoverBranch,
+  buildCoverOutputArgs,
+  listCovers
+};
@@ -0,0 +1,210 @@
+const { spawn } = require("child_process");
+
+// Candidate encoders per codec, in order of preference.
+const VIDEO_ENCODERS = {
+  h264: ["libx264"],
+  h265: ["libx265"],
+  vp9: ["libvpx-vp9"],
+  av1: ["libsvtav1", "libaom-av1"]
+};
+
+const CODEC_LABELS = { h264: "H.264", h265: "H.265", vp9: "VP9", av1: "AV1" };
+
+const ENCODING_PROFILES = {
+  // The encode every short had before profiles existed: libx264 and AAC at
+  // their own defaults, no frame rate cap and no faststart.
+  standard: {
+    label: "Standard (H.264, encoder defaults)",
+    codec: "h264",
+    encoderDefaults: true,
+    resolution: "full"
+  },
+  balanced: {
+    label: "Balanced (H.264, CRF 20)",
+    codec: "h264",
+    rateControl: "crf",
+    crf: 20,
+    maxFps: 60,
+    audioBitrate: "160k",
+    faststart: true,
+    resolution: "full"
+  },
+  quality: {
+    label: "High quality (H.264, CRF 17)",
+    codec: "h264",
+    rateControl: "crf",
+    crf: 17,
+    maxFps: 60,
+    audioBitrate: "256k",
+    faststart: true,
+    resolution: "full"
+  },
+  upload: {
+    label: "Upload (H.264, 12 Mbps, 30 fps)",
+    codec: "h264",
+    rateControl: "bitrate",
+    videoBitrate: "12M",
+    maxFps: 30,
+    audioBitrate: "192k",
+    faststart: true,
+    resolution: "full"
+  },
+  small: {
+    label: "Small file (H.265, CRF 26, 720p)",
+    codec: "h265",
+    rateControl: "crf",
+    crf: 26,
+    maxFps: 30,
+    audioBitrate: "128k",
+    faststart: true,
+    resolution: "720"
+  },
+  vp9: {
+    label: "Web (VP9, CRF 32)",
+    codec: "vp9",
+    rateControl: "crf",
+    crf: 32,
+    maxFps: 60,
+    audioBitrate: "160k",
+    faststart: true,
+    resolution: "full"
+  },
+  av1: {
+    label: "Archive (AV1, CRF 30)",
+    codec: "av1",
+    rateControl: "crf",
+    crf: 30,
+    maxFps: 60,
+    audioBitrate: "160k",
+    faststart: true,
+    resolution: "full"
+  }
+};
+
+let encoderCache = null;
+
+function parseEncoderList(output) {
+  const encoders = new Map();
+  output.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([VAS][.A-Z]{5})\s+(\S+)/);
+    if (match) encoders.set(match[2], { experimental: match[1][3] === "X" });
+  });
+  return encoders;
+}
+
+function listEncoders(ffmpegPath) {
+  if (encoderCache) return encoderCache;
+  encoderCache = new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ["-hide_banner", "-encoders"], { stdio: "pipe" });
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk.toString();
+    });
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      if (code === 0) resolve(parseEncoderList(output));
+      else reject(new Error(`ffmpeg -encoders failed with exit code ${code}`));
+    });
+  }).catch((error) => {
+    encoderCache = null;
+    throw error;
+  });
+  return encoderCache;
+}
+
+// Built-in profiles are looked up by id; "custom" reads its fields from
+// settings.encoding so the renderer can tweak every knob.
+function resolveEncodingProfile(settings) {
+  const id = settings?.encodingProfile || "standard";
+  if (id === "custom") {
+    return { ...ENCODING_PROFILES.balanced, label: "Custom", ...(settings?.encoding || {}), id };
+  }
+  return { ...(ENCODING_PROFILES[id] || ENCODING_PROFILES.standard), id };
+}
+
+function pickVideoEncoder(profile, encoders) {
+  const names = VIDEO_ENCODERS[profile.codec] || [];
+  const name = names.find((candidate) => encoders.has(candidate));
+  if (!name) {
+    const codec = CODEC_LABELS[profile.codec] || profile.codec;
+    throw new Error(
+      `${codec} is not supported by the bundled FFmpeg (needs ${names.join(" or ") || "an encoder"}).`
+    );
+  }
+  return { name, experimental: encoders.get(name).experimental };
+}
+
+async function validateEncodingProfile(ffmpegPath, settings) {
+  const profile = resolveEncodingProfile(settings);
+  const encoders = await listEncoders(ffmpegPath);
+  const videoEncoder = pickVideoEncoder(profile, encoders);
+  if (!encoders.has("aac")) throw new Error("AAC audio is not supported by the bundled FFmpeg.");
+  return { ...profile, videoEncoder };
+}
+
+// Availability for the renderer: which built-in profiles and codecs the
+// bundled FFmpeg can actually encode.
+async function describeEncodingProfiles(ffmpegPath) {
+  const encoders = await listEncoders(ffmpegPath).catch(() => new Map());
+  const codecs = {};
+  Object.entries(VIDEO_ENCODERS).forEach(([codec, names]) => {
+    codecs[codec] = names.some((name) => encoders.has(name));
+  });
+  const profiles = Object.entries(ENCODING_PROFILES).map(([id, profile]) => ({
+    id,
+    label: profile.label,
+    available: codecs[profile.codec]
+  }));
+  return { profiles, codecs };
+}
+
+// Output size for the profile's resolution: "full" keeps the canvas, a number
+// caps the short side (720 turns 1080x1920 into 720x1280).
+function resolveEncodedSize(profile, canvas) {
+  const shortSide = Number(profile.resolution);
+  const current = Math.min(canvas.width, canvas.height);
+  if (!shortSide || shortSide >= current) return null;
+  const scale = shortSide / current;
+  return {
+    width: Math.round((canvas.width * scale) / 2) * 2,
+    height: Math.round((canvas.height * scale) / 2) * 2
+  };
+}
+
+function buildEncodingArgs(profile) {
+  const { name, experimental } = profile.videoEncoder;
+  if (profile.encoderDefaults) return ["-c:v", name, "-preset", "veryfast", "-c:a", "aac"];
+  const crf = String(profile.crf ?? 20);
+  const bitrate = String(profile.videoBitrate || "8M");
+  const useBitrate = profile.rateControl === "bitrate";
+  const args = ["-c:v", name];
+
+  if (name === "libx264" || name === "libx265") {
+    args.push("-preset", profile.preset || "veryfast");
+    if (useBitrate) args.push("-b:v", bitrate, "-maxrate", bitrate, "-bufsize", bitrate);
+    else args.push("-crf", crf);
+    // hvc1 tag so H.265 MP4s play in QuickTime/Safari.
+    if (name === "libx265") args.push("-tag:v", "hvc1");
+  } else if (name === "libvpx-vp9") {
+    args.push("-deadline", "good", "-cpu-used", "4", "-row-mt", "1");
+    args.push(...(useBitrate ? ["-b:v", bitrate] : ["-crf", crf, "-b:v", "0"]));
+  } else if (name === "libsvtav1") {
+    args.push("-preset", "8");
+    args.push(...(useBitrate ? ["-b:v", bitrate] : ["-crf", crf]));
+  } else {
+    args.push("-cpu-used", "6", "-row-mt", "1");
+    args.push(...(useBitrate ? ["-b:v", bitrate] : ["-crf", crf, "-b:v", "0"]));
+  }
+  if (experimental) args.push("-strict", "experimental");
+
+  args.push("-pix_fmt", "yuv420p", "-c:a", "aac", "-b:a", String(profile.audioBitrate || "160k"));
+  if (profile.faststart !== false) args.push("-movflags", "+faststart");
+  return args;
+}
+
+module.exports = {
+  validateEncodingProfile,
+  describeEncodingProfiles,
+  resolveEncodedSize,
+  buildEncodingArgs
+};
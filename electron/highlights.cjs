@@ -0,0 +1,652 @@
+const fs = require("fs");
+const { spawn } = require("child_process");
+const ffmpegStatic = require("ffmpeg-static");
+
+const FRAME_SEC = 0.1;
+const SILENT_LUFS = -70;
+const PCM_RATE = 16000;
+const PCM_HOP = 800;
+// Next power of two above the hop, so every sample of a frame is analyzed
+// (the rest is zero padding).
+const FFT_SIZE = 1024;
+const LEAD_IN_SEC = 4;
+const SETUP_SEC = 8;
+const REACTION_CUE_PATTERN = /\b(laugh\w*|chuckl\w*|giggl\w*|applau\w*|clap\w*|cheer\w*|crowd|audience|whoop\w*|scream\w*)\b/i;
+const DIALOGUE_CUE_WORDS = [
+  "crazy",
+  "insane",
+  "wow",
+  "secret",
+  "never",
+  "always",
+  "best",
+  "worst",
+  "actually",
+  "important",
+  "mistake",
+  "wait",
+  "imagine"
+];
+
+function resolvePackedBinary(binPath) {
+  if (!binPath) return null;
+  const unpacked = binPath.replace("app.asar", "app.asar.unpacked");
+  if (fs.existsSync(unpacked)) return unpacked;
+  return binPath;
+}
+
+function parseDurationSeconds(text) {
+  const match = text.match(/Duration:\s*(\d+):(\d+):(\d+)\.(\d+)/);
+  if (!match) return null;
+  return (
+    Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4]) / 100
+  );
+}
+
+// ebur128 prints one line per 100ms: "t: 12.3  TARGET:-23 LUFS  M: -18.4 S: ..."
+// With a `range` only that part is measured; frame times start at range.start.
+function measureLoudnessEnvelope(inputPath, onProgress, range) {
+  const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
+  const seek = range ? ["-ss", String(range.start), "-t", String(range.duration)] : [];
+  const args = [
+    "-hide_banner",
+    "-nostats",
+    ...seek,
+    "-i",
+    inputPath,
+    "-vn",
+    "-af",
+    "ebur128",
+    "-f",
+    "null",
+    "-"
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: "pipe" });
+    const loudness = [];
+    let duration = range ? range.duration : null;
+    let pending = "";
+    let lastReported = -1;
+
+    const handleLine = (line) => {
+      if (duration === null) {
+        const parsed = parseDurationSeconds(line);
+        if (parsed) duration = parsed;
+      }
+      const match = line.match(/t:\s*([\d.]+)\s+TARGET:.*?M:\s*(-?[\d.]+|-inf|nan)/);
+      if (!match) return;
+      const time = Number(match[1]);
+      const momentary = Number(match[2]);
+      loudness.push(Number.isFinite(momentary) ? Math.max(momentary, SILENT_LUFS) : SILENT_LUFS);
+      if (duration) {
+        const pct = Math.min(Math.floor((time / duration) * 100), 100);
+        if (pct !== lastReported && pct % 5 === 0) {
+          lastReported = pct;
+          onProgress?.(pct, "Analyzing audio energy...");
+        }
+      }
+    };
+
+    child.stderr.on("data", (chunk) => {
+      pending += chunk.toString();
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      if (pending) handleLine(pending);
+      if (code !== 0 && !loudness.length) {
+        reject(new Error(`Audio analysis failed with exit code ${code}`));
+        return;
+      }
+      resolve({
+        loudness,
+        frameSec: FRAME_SEC,
+        duration: duration || loudness.length * FRAME_SEC
+      });
+    });
+  });
+}
+
+// `length` samples are windowed; the FFT zero-pads them up to `size`.
+function createFft(size, length = size) {
+  const levels = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    let value = 0;
+    for (let bit = 0; bit < levels; bit += 1) {
+      value = (value << 1) | ((i >>> bit) & 1);
+    }
+    reversed[i] = value;
+  }
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i += 1) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = Math.sin((2 * Math.PI * i) / size);
+  }
+  const hann = new Float64Array(size);
+  for (let i = 0; i < length; i += 1) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (length - 1));
+  }
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const power = new Float64Array(size / 2);
+
+  return (samples) => {
+    for (let i = 0; i < size; i += 1) {
+      re[reversed[i]] = (samples[i] || 0) * hann[i];
+      im[reversed[i]] = 0;
+    }
+    for (let span = 2; span <= size; span *= 2) {
+      const half = span / 2;
+      const step = size / span;
+      for (let offset = 0; offset < size; offset += span) {
+        for (let k = 0; k < half; k += 1) {
+          const a = offset + k;
+          const b = a + half;
+          const tRe = re[b] * cos[k * step] + im[b] * sin[k * step];
+          const tIm = im[b] * cos[k * step] - re[b] * sin[k * step];
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+        }
+      }
+    }
+    for (let i = 0; i < size / 2; i += 1) {
+      power[i] = re[i] * re[i] + im[i] * im[i];
+    }
+    return power;
+  };
+}
+
+// Streams mono 16 kHz PCM and keeps per-50ms features only, so long VODs never
+// sit in memory as raw audio.
+function measureReactionFeatures(inputPath, onProgress) {
+  const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
+  const args = [
+    "-hide_banner",
+    "-nostats",
+    "-i",
+    inputPath,
+    "-vn",
+    "-ac",
+    "1",
+    "-ar",
+    String(PCM_RATE),
+    "-f",
+    "s16le",
+    "pipe:1"
+  ];
+  const fft = createFft(FFT_SIZE, PCM_HOP);
+  const lowBin = Math.round((300 * FFT_SIZE) / PCM_RATE);
+  const highBin = Math.round((6000 * FFT_SIZE) / PCM_RATE);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: "pipe" });
+    const rms = [];
+    const zcr = [];
+    const flatness = [];
+    const flux = [];
+    const frame = new Float64Array(PCM_HOP);
+    let previous = new Float64Array(FFT_SIZE / 2);
+    let filled = 0;
+    let leftover = null;
+    let duration = null;
+    let lastReported = -1;
+
+    const analyzeFrame = () => {
+      let sumSquares = 0;
+      let crossings = 0;
+      for (let i = 0; i < PCM_HOP; i += 1) {
+        sumSquares += frame[i] * frame[i];
+        if (i > 0 && frame[i - 1] >= 0 !== frame[i] >= 0) crossings += 1;
+      }
+      rms.push(Math.sqrt(sumSquares / PCM_HOP));
+      zcr.push(crossings / PCM_HOP);
+
+      const power = fft(frame);
+      let logSum = 0;
+      let linearSum = 0;
+      let rise = 0;
+      let magnitudeSum = 0;
+      for (let bin = lowBin; bin < highBin; bin += 1) {
+        const value = power[bin] + 1e-10;
+        logSum += Math.log(value);
+        linearSum += value;
+        const magnitude = Math.sqrt(power[bin]);
+        rise += Math.max(magnitude - previous[bin], 0);
+        magnitudeSum += magnitude;
+        previous[bin] = magnitude;
+      }
+      const bins = highBin - lowBin;
+      flatness.push(Math.exp(logSum / bins) / (linearSum / bins));
+      flux.push(magnitudeSum > 0 ? rise / magnitudeSum : 0);
+
+      if (duration) {
+        const pct = Math.min(Math.floor(((rms.length * PCM_HOP) / PCM_RATE / duration) * 100), 100);
+        if (pct !== lastReported && pct % 5 === 0) {
+          lastReported = pct;
+          onProgress?.(pct, "Listening for laughs + cheers...");
+        }
+      }
+    };
+
+    child.stdout.on("data", (chunk) => {
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      for (let offset = 0; offset < usable; offset += 2) {
+        frame[filled] = data.readInt16LE(offset) / 32768;
+        filled += 1;
+        if (filled === PCM_HOP) {
+          analyzeFrame();
+          filled = 0;
+        }
+      }
+      leftover = usable < data.length ? data.subarray(usable) : null;
+    });
+
+    child.stderr.on("data", (chunk) => {
+      if (duration === null) {
+        const parsed = parseDurationSeconds(chunk.toString());
+        if (parsed) duration = parsed;
+      }
+    });
+
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      if (code !== 0 && !rms.length) {
+        reject(new Error(`Reaction analysis failed with exit code ${code}`));
+        return;
+      }
+      resolve({ rms, zcr, flatness, flux, frameSec: PCM_HOP / PCM_RATE });
+    });
+  });
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function countPeaks(values, from, to, threshold) {
+  let peaks = 0;
+  for (let i = Math.max(from, 1); i < Math.min(to, values.length - 1); i += 1) {
+    if (values[i] > threshold && values[i] >= values[i - 1] && values[i] > values[i + 1]) {
+      peaks += 1;
+    }
+  }
+  return peaks;
+}
+
+// Whisper writes sound annotations such as "[Laughter]" or "(audience cheering)"
+// into its segments; they are strong hints that the audio model alone can miss.
+function findReactionCues(cues) {
+  return (cues || []).flatMap((cue) => {
+    const annotations = String(cue.text || "").match(/[[(*♪][^\])*♪]*[\])*♪]/g) || [];
+    const hit = annotations.find((annotation) => REACTION_CUE_PATTERN.test(annotation));
+    if (!hit) return [];
+    const word = hit.match(REACTION_CUE_PATTERN)[1].toLowerCase();
+    const kind = /^(laugh|chuckl|giggl)/.test(word)
+      ? "laughter"
+      : /^(applau|clap)/.test(word)
+        ? "applause"
+        : "crowd";
+    return [{ start: cue.start, end: cue.end, kind }];
+  });
+}
+
+// Applause and crowd noise are broadband (high spectral flatness) with dense
+// onsets; laughter shows up as rhythmic 3-8 Hz loudness bursts.
+function scoreReactions(features, cues = []) {
+  const { rms, zcr, flatness, flux, frameSec } = features;
+  const framesPerSec = Math.round(1 / frameSec);
+  const seconds = Math.ceil(rms.length / framesPerSec);
+  const level = normalizeLoudness(rms.map((value) => Math.max(20 * Math.log10(value + 1e-9), SILENT_LUFS)));
+  const fluxMean = flux.reduce((sum, value) => sum + value, 0) / Math.max(flux.length, 1);
+
+  const raw = new Float64Array(seconds);
+  const kinds = new Array(seconds).fill(null);
+  for (let s = 0; s < seconds; s += 1) {
+    const from = s * framesPerSec;
+    const to = Math.min(from + framesPerSec, rms.length);
+    const count = Math.max(to - from, 1);
+    let loud = 0;
+    let flat = 0;
+    let crossings = 0;
+    let levelSum = 0;
+    for (let i = from; i < to; i += 1) {
+      loud += level[i];
+      flat += flatness[i];
+      crossings += zcr[i];
+      levelSum += rms[i];
+    }
+    loud /= count;
+    flat /= count;
+    crossings /= count;
+    const onsets = countPeaks(flux, from, to, fluxMean * 1.5);
+    const bursts = countPeaks(rms, from, to, (levelSum / count) * 1.3);
+
+    const applause = clamp01((flat - 0.2) / 0.3) * clamp01(onsets / 6) * loud;
+    const laughter =
+      Math.exp(-((bursts - 5) ** 2) / 8) * clamp01((flat - 0.05) / 0.25) * clamp01(crossings / 0.15) * loud;
+    const crowd = clamp01((flat - 0.25) / 0.3) * loud * 0.8;
+
+    const best = Math.max(applause, laughter, crowd);
+    raw[s] = best;
+    if (best > 0.05) {
+      kinds[s] = best === applause ? "applause" : best === laughter ? "laughter" : "crowd";
+    }
+  }
+
+  const perSecond = new Float64Array(seconds);
+  for (let s = 0; s < seconds; s += 1) {
+    perSecond[s] = raw[s] * 0.5 + ((raw[s - 1] || 0) + (raw[s + 1] || 0)) * 0.25;
+  }
+  for (const cue of cues) {
+    for (let s = Math.floor(cue.start); s < Math.min(Math.ceil(cue.end), seconds); s += 1) {
+      perSecond[s] = 1;
+      kinds[s] = cue.kind;
+    }
+  }
+  return { perSecond, kinds };
+}
+
+function runFfmpegForStderr(args) {
+  const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: "pipe" });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk.toString();
+    });
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      if (code === 0) resolve(stderr);
+      else reject(new Error(`FFmpeg failed with exit code ${code}`));
+    });
+  });
+}
+
+// Times from these scans are relative to the seek point, so `from` is added back.
+async function detectSceneCuts(inputPath, from, duration, threshold = 0.3) {
+  const stderr = await runFfmpegForStderr([
+    "-hide_banner",
+    "-nostats",
+    "-ss",
+    String(from),
+    "-t",
+    String(duration),
+    "-i",
+    inputPath,
+    "-an",
+    "-vf",
+    `scale=160:-2,select='gt(scene,${threshold})',showinfo`,
+    "-f",
+    "null",
+    "-"
+  ]);
+  return [...stderr.matchAll(/pts_time:\s*([\d.]+)/g)].map((match) => from + Number(match[1]));
+}
+
+async function detectSilences(inputPath, from, duration) {
+  const stderr = await runFfmpegForStderr([
+    "-hide_banner",
+    "-nostats",
+    "-ss",
+    String(from),
+    "-t",
+    String(duration),
+    "-i",
+    inputPath,
+    "-vn",
+    "-af",
+    "silencedetect=noise=-35dB:d=0.2",
+    "-f",
+    "null",
+    "-"
+  ]);
+  const silences = [];
+  let openStart = null;
+  for (const match of stderr.matchAll(/silence_(start|end):\s*(-?[\d.]+)/g)) {
+    const time = from + Number(match[2]);
+    if (match[1] === "start") {
+      openStart = time;
+    } else {
+      silences.push({ start: openStart ?? from, end: time });
+      openStart = null;
+    }
+  }
+  if (openStart !== null) silences.push({ start: openStart, end: from + duration });
+  return silences;
+}
+
+function percentile(sorted, ratio) {
+  if (!sorted.length) return 0;
+  const index = Math.min(Math.max(Math.round((sorted.length - 1) * ratio), 0), sorted.length - 1);
+  return sorted[index];
+}
+
+// Map LUFS values onto 0..1 relative to the source itself, so quiet podcasts
+// and loud streams are judged by their own dynamics.
+function normalizeLoudness(loudness) {
+  const audible = loudness.filter((value) => value > SILENT_LUFS).sort((a, b) => a - b);
+  if (!audible.length) return loudness.map(() => 0);
+  const floor = percentile(audible, 0.1);
+  const ceil = Math.max(percentile(audible, 0.98), floor + 1);
+  return loudness.map((value) => Math.min(Math.max((value - floor) / (ceil - floor), 0), 1));
+}
+
+function prefixSums(values) {
+  const sums = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i += 1) {
+    sums[i + 1] = sums[i] + values[i];
+  }
+  return sums;
+}
+
+function scoreEnergyWindows(envelope, windowSec, hopSec = 1) {
+  const { loudness, frameSec, duration } = envelope;
+  const energy = normalizeLoudness(loudness);
+  const bursts = energy.map((value) => (value >= 0.75 ? 1 : 0));
+  const energySums = prefixSums(energy);
+  const burstSums = prefixSums(bursts);
+
+  const windowFrames = Math.max(Math.round(windowSec / frameSec), 1);
+  const hopFrames = Math.max(Math.round(hopSec / frameSec), 1);
+  if (energy.length <= windowFrames) {
+    const mean = energy.length ? energySums[energy.length] / energy.length : 0;
+    return [{ start: 0, duration: Math.min(windowSec, duration), score: mean }];
+  }
+
+  const windows = [];
+  for (let from = 0; from + windowFrames <= energy.length; from += hopFrames) {
+    const to = from + windowFrames;
+    const mean = (energySums[to] - energySums[from]) / windowFrames;
+    const burstRatio = (burstSums[to] - burstSums[from]) / windowFrames;
+    windows.push({
+      start: from * frameSec,
+      duration: windowSec,
+      score: mean * 0.65 + burstRatio * 0.35
+    });
+  }
+  return windows;
+}
+
+// Whisper cues often stop mid-sentence, so cues are merged until they end on
+// terminal punctuation and then split again where one cue holds several sentences.
+function buildSentences(cues, maxGapSec = 1.2) {
+  const merged = [];
+  let current = null;
+  for (const cue of cues) {
+    const text = String(cue.text || "").trim();
+    if (!text) continue;
+    if (current && cue.start - current.end <= maxGapSec && !/[.!?…]["')\]]*$/.test(current.text)) {
+      current.end = cue.end;
+      current.text = `${current.text} ${text}`;
+    } else {
+      if (current) merged.push(current);
+      current = { start: cue.start, end: cue.end, text };
+    }
+  }
+  if (current) merged.push(current);
+
+  return merged.flatMap((block) => {
+    const parts = block.text.split(/(?<=[.!?…])\s+/).filter(Boolean);
+    if (parts.length <= 1) return [block];
+    const totalChars = parts.reduce((sum, part) => sum + part.length, 0);
+    const span = block.end - block.start;
+    let cursor = block.start;
+    return parts.map((part) => {
+      const start = cursor;
+      cursor += (span * part.length) / totalChars;
+      return { start, end: cursor, text: part };
+    });
+  });
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function parseKeywords(value) {
+  return String(value || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function scoreSentenceCues(sentence, keywords) {
+  const text = sentence.text.toLowerCase();
+  let cues = 0;
+  if (/\?["')\]]*$/.test(text)) cues += 1;
+  if (/!["')\]]*$/.test(text)) cues += 0.7;
+  for (const keyword of keywords) {
+    if (text.includes(keyword)) cues += 1.5;
+  }
+  return cues;
+}
+
+function scoreDialogueWindows(cues, targetDuration, options = {}) {
+  const sentences = buildSentences(cues);
+  const keywords = [...DIALOGUE_CUE_WORDS, ...parseKeywords(options.keywords)];
+  const minDuration = targetDuration * 0.6;
+  const maxDuration = targetDuration * 1.2;
+  const sentenceCues = sentences.map((sentence) => scoreSentenceCues(sentence, keywords));
+
+  const windows = [];
+  for (let i = 0; i < sentences.length; i += 1) {
+    let spoken = 0;
+    let words = 0;
+    let cueTotal = 0;
+    for (let j = i; j < sentences.length; j += 1) {
+      const duration = sentences[j].end - sentences[i].start;
+      if (duration > maxDuration) break;
+      spoken += Math.max(sentences[j].end - sentences[j].start, 0);
+      words += countWords(sentences[j].text);
+      cueTotal += sentenceCues[j];
+      if (duration < minDuration) continue;
+
+      const density = Math.min(spoken / duration, 1);
+      const pace = Math.min(words / duration / 3, 1);
+      const cueRate = Math.min(cueTotal / (duration / 10), 1);
+      const fit = 1 - Math.abs(duration - targetDuration) / targetDuration;
+      windows.push({
+        start: sentences[i].start,
+        duration,
+        score: density * 0.4 + pace * 0.2 + cueRate * 0.3 + fit * 0.1
+      });
+    }
+  }
+  return windows;
+}
+
+// Where the reaction around each second began: walk back while the score
+// stays at half the level or more.
+function findReactionOnsets(perSecond) {
+  const onsets = new Int32Array(perSecond.length);
+  for (let s = 0; s < perSecond.length; s += 1) {
+    let onset = s;
+    while (onset > 0 && s - onset < 10 && perSecond[onset - 1] >= perSecond[s] * 0.5) onset -= 1;
+    onsets[s] = onset;
+  }
+  return onsets;
+}
+
+// A reaction pays off most when something is set up before it. The setup is
+// the speech/activity in the clip before the reaction's onset, so a window
+// that opens on the reaction itself has none; onsets in the first seconds and
+// hits right at the cut count for less.
+function scoreReactionWindows(envelope, reactions, windowSec, hopSec = 1) {
+  const energyWindows = scoreEnergyWindows(envelope, windowSec, hopSec);
+  const { perSecond, kinds } = reactions;
+  const onsets = findReactionOnsets(perSecond);
+  const speech = normalizeLoudness(envelope.loudness);
+  const framesPerSec = Math.round(1 / envelope.frameSec);
+  const speechAt = (second) => {
+    const from = second * framesPerSec;
+    let sum = 0;
+    for (let i = from; i < from + framesPerSec && i < speech.length; i += 1) sum += speech[i];
+    return sum / framesPerSec;
+  };
+
+  return energyWindows.map((window) => {
+    const first = Math.round(window.start);
+    const length = Math.max(Math.round(window.duration), 1);
+    let best = { score: 0, second: null };
+    for (let offset = 0; offset < length && first + offset < perSecond.length; offset += 1) {
+      const lead = Math.max(onsets[first + offset] - first, 0);
+      const leadWeight = 0.25 + 0.75 * clamp01(lead / LEAD_IN_SEC);
+      const endWeight = offset / length > 0.92 ? 0.5 : 1;
+      let setup = 0;
+      for (let back = Math.max(lead - SETUP_SEC, 0); back < lead; back += 1) {
+        setup += speechAt(first + back);
+      }
+      setup /= SETUP_SEC;
+      const score = perSecond[first + offset] * leadWeight * endWeight * (0.6 + setup * 0.4);
+      if (score > best.score) best = { score, second: first + offset };
+    }
+    return {
+      ...window,
+      score: window.score * 0.45 + best.score * 0.55,
+      reaction:
+        best.second === null || best.score < 0.15
+          ? null
+          : { time: best.second, kind: kinds[best.second], score: best.score }
+    };
+  });
+}
+
+// Greedy pick by score: a window is skipped when it overlaps, or comes closer
+// than minGapSec to, one that has already been chosen.
+function pickTopWindows(windows, count = 1, minGapSec = 0) {
+  const picked = [];
+  const ranked = [...windows].sort((a, b) => b.score - a.score);
+  for (const window of ranked) {
+    if (picked.length >= count) break;
+    const clashes = picked.some(
+      (chosen) =>
+        window.start < chosen.start + chosen.duration + minGapSec &&
+        chosen.start < window.start + window.duration + minGapSec
+    );
+    if (!clashes) picked.push(window);
+  }
+  return picked;
+}
+
+module.exports = {
+  measureLoudnessEnvelope,
+  scoreEnergyWindows,
+  scoreDialogueWindows,
+  measureReactionFeatures,
+  findReactionCues,
+  scoreReactions,
+  scoreReactionWindows,
+  pickTopWindows,
+  parseKeywords,
+  detectSceneCuts,
+  detectSilences
+};
@@ -0,0 +1,122 @@
+const { spawn } = require("child_process");
+
+const LOUDNESS_PRESETS = {
+  youtube: { integrated: -14, truePeak: -1, lra: 11 },
+  podcast: { integrated: -16, truePeak: -1.5, lra: 11 },
+  broadcast: { integrated: -23, truePeak: -1, lra: 15 }
+};
+
+function resolveLoudnessTarget(settings) {
+  const preset = settings?.loudnessPreset;
+  if (!preset || preset === "off") return null;
+  return LOUDNESS_PRESETS[preset] || LOUDNESS_PRESETS.youtube;
+}
+
+// loudnorm prints its stats as the last JSON object on stderr.
+function parseLoudnormStats(stderr) {
+  const start = stderr.lastIndexOf("{");
+  const end = stderr.lastIndexOf("}");
+  if (start === -1 || end < start) return null;
+  try {
+    const stats = JSON.parse(stderr.slice(start, end + 1));
+    return Number.isFinite(Number(stats.input_i)) ? stats : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatTargetFilter(target) {
+  return `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`;
+}
+
+// First pass: run the clip's audio chain into loudnorm and keep only the stats.
+// Several ranges (montage segments) are measured as one joined stream.
+function measureLoudness(ffmpegPath, inputPath, ranges, audioFilters, target) {
+  const filters = [audioFilters, `${formatTargetFilter(target)}:print_format=json`]
+    .filter(Boolean)
+    .join(",");
+  const inputs = ranges.flatMap((range) => [
+    "-ss",
+    String(range.start),
+    "-t",
+    String(range.duration),
+    "-i",
+    inputPath
+  ]);
+  const joined =
+    ranges.length > 1
+      ? `${ranges.map((_, index) => `[${index}:a]`).join("")}concat=n=${ranges.length}:v=0:a=1,`
+      : "[0:a]";
+  const args = [
+    "-hide_banner",
+    "-nostats",
+    ...inputs,
+    "-filter_complex",
+    `${joined}${filters}`,
+    "-f",
+    "null",
+    "-"
+  ];
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: "pipe" });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-16384);
+    });
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      const stats = code === 0 ? parseLoudnormStats(stderr) : null;
+      if (stats) resolve(stats);
+      else reject(new Error(`Loudness measurement failed with exit code ${code}`));
+    });
+  });
+}
+
+// Second pass: feed the measured values back so loudnorm can apply a single
+// linear gain when the target is reachable. It upsamples internally, so the
+// result is brought back to 48 kHz.
+function buildLoudnormFilter(target, measured) {
+  return [
+    formatTargetFilter(target),
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    "linear=true",
+    "print_format=json"
+  ].join(":") + ",aresample=48000";
+}
+
+function roundStat(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Number(number.toFixed(2)) : null;
+}
+
+function summarizeLoudness(target, measured, applied) {
+  return {
+    target: { ...target },
+    measured: {
+      integrated: roundStat(measured.input_i),
+      truePeak: roundStat(measured.input_tp),
+      lra: roundStat(measured.input_lra),
+      threshold: roundStat(measured.input_thresh)
+    },
+    applied: applied
+      ? {
+          integrated: roundStat(applied.output_i),
+          truePeak: roundStat(applied.output_tp),
+          lra: roundStat(applied.output_lra),
+          normalization: applied.normalization_type || null
+        }
+      : null
+  };
+}
+
+module.exports = {
+  resolveLoudnessTarget,
+  measureLoudness,
+  buildLoudnormFilter,
+  parseLoudnormStats,
+  summarizeLoudness
+};
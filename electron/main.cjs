@@ -1,10 +1,21 @@
-const { app, BrowserWindow, dialog, ipcMain, shell } = require("electron");
+const { app, BrowserWindow, dialog, ipcMain, net, protocol, shell } = require("electron");
 const fs = require("fs");
+const { pathToFileURL } = require("url");
 const { checkForUpdate, openUpdateUrl, downloadAndInstall } = require("./update.cjs");
 const path = require("path");
-const { processVideo } = require("./processor.cjs");
+const { processVideo, analyzeCandidates, listEncodingProfiles } = require("./processor.cjs");
+const { listMusicTracks } = require("./music.cjs");
+const { MAX_COVERS, listCovers } = require("./covers.cjs");
+const { normalizeCaptionStyle, mergeCaptionStyles } = require("./captionstyles.cjs");
 
 const isDev = !!process.env.VITE_DEV_SERVER_URL;
+const MEDIA_EXTENSIONS = new Set([".mp4", ".mov", ".mkv", ".webm", ".jpg", ".jpeg", ".png"]);
+
+// Local previews go through media://local/<encoded path> so the renderer can
+// play files in dev (http origin) as well as from the packaged file:// build.
+protocol.registerSchemesAsPrivileged([
+  { scheme: "media", privileges: { secure: true, supportFetchAPI: true, stream: true } }
+]);
 
 async function createWindow() {
   const win = new BrowserWindow({
@@ -28,6 +39,36 @@ async function createWindow() {
 }
 
 app.whenReady().then(() => {
+  // What media:// may serve: the input the user picked, the files the app
+  // writes into its ai-short-maker folder, and images picked for framing or
+  // the watermark.
+  const mediaSources = { input: null, images: new Set() };
+
+  const isServedMedia = (filePath) => {
+    if (mediaSources.images.has(filePath)) return true;
+    if (!mediaSources.input) return false;
+    if (filePath === mediaSources.input) return true;
+    const workDir = path.join(path.dirname(mediaSources.input), "ai-short-maker");
+    const relative = path.relative(workDir, filePath);
+    return Boolean(relative) && !relative.startsWith("..") && !path.isAbsolute(relative);
+  };
+
+  protocol.handle("media", (request) => {
+    const filePath = path.resolve(
+      decodeURIComponent(request.url.slice("media://local/".length))
+    );
+    if (!MEDIA_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+      return new Response("Unsupported media type", { status: 403 });
+    }
+    if (!isServedMedia(filePath)) {
+      return new Response("File is not part of the current project", { status: 403 });
+    }
+    return net.fetch(pathToFileURL(filePath).toString(), {
+      headers: request.headers,
+      bypassCustomProtocolHandlers: true
+    });
+  });
+
   const updateStatePath = path.join(app.getPath("userData"), "update-state.json");
 
   const readUpdateState = () => {
@@ -46,6 +87,46 @@ app.whenReady().then(() => {
     }
   };
 
+  const layoutsPath = path.join(app.getPath("userData"), "layouts.json");
+
+  const readLayouts = () => {
+    try {
+      const stored = JSON.parse(fs.readFileSync(layoutsPath, "utf8"));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const writeLayouts = (layouts) => {
+    fs.writeFileSync(layoutsPath, JSON.stringify(layouts, null, 2));
+    return layouts;
+  };
+
+  const captionStylesPath = path.join(app.getPath("userData"), "caption-styles.json");
+
+  const readCaptionStyles = () => {
+    try {
+      const stored = JSON.parse(fs.readFileSync(captionStylesPath, "utf8"));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const writeCaptionStyles = (styles) => {
+    fs.writeFileSync(captionStylesPath, JSON.stringify(styles, null, 2));
+    return mergeCaptionStyles(styles);
+  };
+
+  const upsertCaptionStyles = (incoming) => {
+    const ids = new Set(incoming.map((style) => style.id));
+    return writeCaptionStyles([
+      ...readCaptionStyles().filter((style) => !ids.has(style.id)),
+      ...incoming
+    ]);
+  };
+
   const shouldNotifyUpdate = () => {
     const state = readUpdateState();
     const remindUntil = Number(state?.remindUntil || 0);
@@ -59,27 +140,235 @@ app.whenReady().then(() => {
 
   let mainWindow = null;
 
-  ipcMain.handle("dialog:openFile", async () => {
+  ipcMain.handle("dialog:openFile", async (_event, kind) => {
+    const filters =
+      kind === "image"
+        ? [{ name: "Images", extensions: ["png", "jpg", "jpeg"] }]
+        : kind === "subtitle"
+          ? [{ name: "Subtitles", extensions: ["srt", "vtt", "ass", "ssa"] }]
+          : [{ name: "Videos", extensions: ["mp4", "mov", "mkv", "webm"] }];
     const result = await dialog.showOpenDialog({
       properties: ["openFile"],
-      filters: [{ name: "Videos", extensions: ["mp4", "mov", "mkv", "webm"] }]
+      filters
     });
     if (result.canceled || !result.filePaths.length) return null;
+    const picked = path.resolve(result.filePaths[0]);
+    if (kind === "input") mediaSources.input = picked;
+    if (kind === "image") mediaSources.images.add(picked);
+    return picked;
+  });
+
+  // The preload resolves a dropped File to its path, so only real drops land here.
+  ipcMain.handle("media:dropInput", async (_event, filePath) => {
+    if (typeof filePath !== "string" || !filePath) return null;
+    mediaSources.input = path.resolve(filePath);
+    return mediaSources.input;
+  });
+
+  ipcMain.handle("dialog:openFolder", async () => {
+    const result = await dialog.showOpenDialog({ properties: ["openDirectory"] });
+    if (result.canceled || !result.filePaths.length) return null;
     return result.filePaths[0];
   });
 
-  ipcMain.handle("pipeline:process", async (event, payload) => {
+  ipcMain.handle("music:list", async (_event, dir) => {
     try {
-      return await processVideo(payload, (progress, message) => {
-        event.sender.send("pipeline:progress", { progress, message });
+      return { tracks: listMusicTracks(dir) };
+    } catch (error) {
+      return { tracks: [], error: error?.message || "Could not read music folder" };
+    }
+  });
+
+  // Transcript reviews waiting on the renderer, keyed by request id.
+  const pendingReviews = new Map();
+  let reviewCounter = 0;
+
+  ipcMain.handle("pipeline:process", async (event, payload) => {
+    const sender = event.sender;
+    const jobReviews = new Set();
+    // A review left open when the window reloads, goes away or the job stops
+    // resolves as cancelled, so the render does not wait on it forever.
+    const cancelReviews = () => {
+      jobReviews.forEach((id) => {
+        const resolve = pendingReviews.get(id);
+        pendingReviews.delete(id);
+        resolve?.(null);
+      });
+      jobReviews.clear();
+    };
+    sender.once("destroyed", cancelReviews);
+    sender.on("render-process-gone", cancelReviews);
+    sender.on("did-navigate", cancelReviews);
+    const reviewTranscript = (request) =>
+      new Promise((resolve) => {
+        if (sender.isDestroyed()) {
+          resolve(null);
+          return;
+        }
+        reviewCounter += 1;
+        pendingReviews.set(reviewCounter, resolve);
+        jobReviews.add(reviewCounter);
+        sender.send("pipeline:review", { ...request, id: reviewCounter });
       });
+    try {
+      return await processVideo(
+        payload,
+        (progress, message, details) => {
+          if (!sender.isDestroyed()) sender.send("pipeline:progress", { ...details, progress, message });
+        },
+        { reviewTranscript }
+      );
     } catch (error) {
       const message = error?.message || "Processing failed";
+      if (!sender.isDestroyed()) sender.send("pipeline:error", { message });
+      return { error: message };
+    } finally {
+      cancelReviews();
+      if (!sender.isDestroyed()) {
+        sender.removeListener("destroyed", cancelReviews);
+        sender.removeListener("render-process-gone", cancelReviews);
+        sender.removeListener("did-navigate", cancelReviews);
+      }
+    }
+  });
+
+  ipcMain.handle("pipeline:reviewSubmit", async (_event, payload) => {
+    const resolve = pendingReviews.get(payload?.id);
+    if (!resolve) return { error: "This transcript review is no longer pending" };
+    pendingReviews.delete(payload.id);
+    resolve(Array.isArray(payload.lines) ? payload.lines : null);
+    return { ok: true };
+  });
+
+  ipcMain.handle("pipeline:analyze", async (event, payload) => {
+    try {
+      return await analyzeCandidates(payload, (progress, message, details) => {
+        event.sender.send("pipeline:progress", { ...details, progress, message });
+      });
+    } catch (error) {
+      const message = error?.message || "Analysis failed";
       event.sender.send("pipeline:error", { message });
       return { error: message };
     }
   });
 
+  // The picked candidate is copied next to the short under the same name, which
+  // is where upload tools look for a cover.
+  ipcMain.handle("covers:choose", async (_event, payload) => {
+    const { outputPath, coverPath } = payload || {};
+    if (typeof outputPath !== "string" || typeof coverPath !== "string") {
+      return { error: "Cover image not found" };
+    }
+    const shortPath = path.resolve(outputPath);
+    const { dir, name, ext } = path.parse(shortPath);
+    const isShort =
+      ext.toLowerCase() === ".mp4" &&
+      path.basename(dir) === "output" &&
+      path.basename(path.dirname(dir)) === "ai-short-maker" &&
+      fs.existsSync(shortPath);
+    if (!isShort) return { error: "Covers can only be chosen for rendered shorts" };
+    if (!listCovers(shortPath, MAX_COVERS).includes(path.resolve(coverPath))) {
+      return { error: "Cover image not found" };
+    }
+    const target = path.join(dir, `${name}.jpg`);
+    try {
+      fs.copyFileSync(coverPath, target);
+      return { coverPath: target };
+    } catch (error) {
+      return { error: error?.message || "Could not save cover" };
+    }
+  });
+
+  ipcMain.handle("encoding:profiles", async () => {
+    return listEncodingProfiles();
+  });
+
+  ipcMain.handle("layouts:list", async () => {
+    return { layouts: readLayouts() };
+  });
+
+  ipcMain.handle("layouts:save", async (_event, layout) => {
+    if (!layout?.name) return { error: "Layout needs a name" };
+    const saved = { ...layout, id: layout.id || `layout-${Date.now()}` };
+    const layouts = readLayouts().filter((item) => item.id !== saved.id);
+    try {
+      return { layout: saved, layouts: writeLayouts([...layouts, saved]) };
+    } catch (error) {
+      return { error: error?.message || "Could not save layout" };
+    }
+  });
+
+  ipcMain.handle("layouts:delete", async (_event, id) => {
+    try {
+      return { layouts: writeLayouts(readLayouts().filter((item) => item.id !== id)) };
+    } catch (error) {
+      return { error: error?.message || "Could not delete layout" };
+    }
+  });
+
+  ipcMain.handle("captionStyles:list", async () => {
+    return { styles: mergeCaptionStyles(readCaptionStyles()) };
+  });
+
+  ipcMain.handle("captionStyles:save", async (_event, style) => {
+    if (!style?.name) return { error: "Style needs a name" };
+    const { builtIn, customized, ...fields } = style;
+    const saved = normalizeCaptionStyle({ ...fields, id: style.id || `style-${Date.now()}` });
+    try {
+      return { style: saved, styles: upsertCaptionStyles([saved]) };
+    } catch (error) {
+      return { error: error?.message || "Could not save style" };
+    }
+  });
+
+  // Deleting the override of a built-in resets it to the shipped look.
+  ipcMain.handle("captionStyles:delete", async (_event, id) => {
+    try {
+      return { styles: writeCaptionStyles(readCaptionStyles().filter((style) => style.id !== id)) };
+    } catch (error) {
+      return { error: error?.message || "Could not delete style" };
+    }
+  });
+
+  ipcMain.handle("captionStyles:export", async () => {
+    const result = await dialog.showSaveDialog({
+      defaultPath: "caption-styles.json",
+      filters: [{ name: "JSON", extensions: ["json"] }]
+    });
+    if (result.canceled || !result.filePath) return null;
+    try {
+      const styles = readCaptionStyles().map(normalizeCaptionStyle);
+      fs.writeFileSync(result.filePath, JSON.stringify({ version: 1, styles }, null, 2));
+      return { path: result.filePath, count: styles.length };
+    } catch (error) {
+      return { error: error?.message || "Could not export styles" };
+    }
+  });
+
+  // Imported presets keep their ids, so re-importing a shared file updates the
+  // same presets instead of piling up copies.
+  ipcMain.handle("captionStyles:import", async () => {
+    const result = await dialog.showOpenDialog({
+      properties: ["openFile"],
+      filters: [{ name: "JSON", extensions: ["json"] }]
+    });
+    if (result.canceled || !result.filePaths.length) return null;
+    try {
+      const data = JSON.parse(fs.readFileSync(result.filePaths[0], "utf8"));
+      const list = Array.isArray(data) ? data : data?.styles;
+      if (!Array.isArray(list)) return { error: "No caption styles found in that file" };
+      const stamp = Date.now();
+      const imported = list
+        .filter((style) => style && typeof style === "object")
+        .map((style, index) =>
+          normalizeCaptionStyle({ ...style, id: style.id || `style-${stamp}-${index}` })
+        );
+      return { styles: upsertCaptionStyles(imported), count: imported.length };
+    } catch (error) {
+      return { error: error?.message || "Could not import styles" };
+    }
+  });
+
   ipcMain.handle("shell:openExternal", async (_event, url) => {
     if (!url) return null;
     return shell.openExternal(url);
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+
+const MUSIC_EXTENSIONS = new Set([".mp3", ".wav", ".m4a", ".aac", ".ogg", ".flac", ".opus"]);
+const SPEECH_GAP_SEC = 0.6;
+const DUCK_RAMP_SEC = 0.25;
+// Keeps the ducking expression a sane length on very chatty clips.
+const MAX_DUCK_INTERVALS = 120;
+
+function listMusicTracks(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && MUSIC_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+    .map((entry) => ({ name: entry.name, path: path.join(dir, entry.name) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function mergeSpeechIntervals(intervals, gapSec = SPEECH_GAP_SEC) {
+  const sorted = intervals
+    .filter((item) => item.end > item.start)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const item of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && item.start - last.end <= gapSec) last.end = Math.max(last.end, item.end);
+    else merged.push({ start: item.start, end: item.end });
+  }
+  while (merged.length > MAX_DUCK_INTERVALS) {
+    // Close the smallest gap until the list fits.
+    let smallest = 0;
+    for (let index = 1; index < merged.length - 1; index += 1) {
+      const gap = merged[index + 1].start - merged[index].end;
+      if (gap < merged[smallest + 1].start - merged[smallest].end) smallest = index;
+    }
+    merged[smallest].end = merged[smallest + 1].end;
+    merged.splice(smallest + 1, 1);
+  }
+  return merged;
+}
+
+// A trapezoid per speech interval (ramping over DUCK_RAMP_SEC on each side);
+// the music gain dips by the duck depth wherever any trapezoid is up.
+function buildDuckingVolume(intervals, duckDb) {
+  const depth = 1 - Math.pow(10, -Math.abs(duckDb) / 20);
+  const ramp = DUCK_RAMP_SEC;
+  const shapes = intervals.map((item) => {
+    const rise = (item.start - ramp).toFixed(3);
+    const fall = (item.end + ramp).toFixed(3);
+    return `clip((t-${rise})/${ramp},0,1)*clip((${fall}-t)/${ramp},0,1)`;
+  });
+  const envelope = shapes.reduce((acc, shape) => (acc ? `max(${acc},${shape})` : shape), "");
+  return `volume='1-${depth.toFixed(4)}*${envelope}':eval=frame`;
+}
+
+// Mixes a looped, trimmed and faded music track under the clip audio. With
+// speech timings the music ducks on a gain envelope; without them it falls
+// back to sidechain compression keyed by the voice track.
+function applyMusicBed(graph, speechLabel, settings, duration, speechIntervals) {
+  const trackPath = settings?.musicTrack;
+  if (!settings?.musicEnabled || !trackPath || !fs.existsSync(trackPath)) return speechLabel;
+
+  const musicInput = graph.addInput(["-stream_loop", "-1", "-i", trackPath]);
+  const gain = Math.min(Math.max(Number(settings.musicVolume ?? 30), 0), 100) / 100;
+  const fade = Math.min(Math.max(Number(settings.musicFadeSec ?? 1.5), 0), duration / 2);
+  const duckDb = Math.min(Math.max(Number(settings.musicDuckDb ?? 12), 0), 40);
+  const filters = [
+    `atrim=0:${duration.toFixed(3)}`,
+    "asetpts=PTS-STARTPTS",
+    "aresample=48000",
+    "aformat=channel_layouts=stereo",
+    `volume=${gain.toFixed(3)}`
+  ];
+  if (fade > 0) {
+    filters.push(
+      `afade=t=in:st=0:d=${fade.toFixed(2)}`,
+      `afade=t=out:st=${(duration - fade).toFixed(3)}:d=${fade.toFixed(2)}`
+    );
+  }
+
+  const intervals = speechIntervals?.length ? mergeSpeechIntervals(speechIntervals) : [];
+  if (intervals.length && duckDb > 0) filters.push(buildDuckingVolume(intervals, duckDb));
+  let music = graph.chain(`${musicInput}:a`, filters.join(","), graph.next("a"));
+  if (!speechLabel) return music;
+
+  let voice = speechLabel;
+  if (!intervals.length && duckDb > 0) {
+    const [voiceOut, voiceKey] = [graph.next("a"), graph.next("a")];
+    graph.chains.push(`[${speechLabel}]asplit=2[${voiceOut}][${voiceKey}]`);
+    voice = voiceOut;
+    const ratio = Math.min(Math.max(duckDb / 2, 2), 20);
+    music = graph.chain(
+      [music, voiceKey],
+      `sidechaincompress=threshold=0.03:ratio=${ratio}:attack=20:release=400`,
+      graph.next("a")
+    );
+  }
+  return graph.chain(
+    [voice, music],
+    "amix=inputs=2:duration=first:dropout_transition=0:normalize=0",
+    graph.next("a")
+  );
+}
+
+module.exports = { listMusicTracks, applyMusicBed };
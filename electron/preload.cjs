@@ -1,8 +1,28 @@
-const { contextBridge, ipcRenderer } = require("electron");
+const { contextBridge, ipcRenderer, webUtils } = require("electron");
 
 contextBridge.exposeInMainWorld("api", {
-  openFileDialog: () => ipcRenderer.invoke("dialog:openFile"),
+  openFileDialog: (kind) => ipcRenderer.invoke("dialog:openFile", kind),
+  openFolderDialog: () => ipcRenderer.invoke("dialog:openFolder"),
+  useDroppedFile: (file) => {
+    const filePath = webUtils.getPathForFile(file);
+    return filePath ? ipcRenderer.invoke("media:dropInput", filePath) : Promise.resolve(null);
+  },
+  listMusicTracks: (dir) => ipcRenderer.invoke("music:list", dir),
   processVideo: (payload) => ipcRenderer.invoke("pipeline:process", payload),
+  analyzeVideo: (payload) => ipcRenderer.invoke("pipeline:analyze", payload),
+  submitTranscriptReview: (id, lines) =>
+    ipcRenderer.invoke("pipeline:reviewSubmit", { id, lines }),
+  chooseCover: (outputPath, coverPath) =>
+    ipcRenderer.invoke("covers:choose", { outputPath, coverPath }),
+  getEncodingProfiles: () => ipcRenderer.invoke("encoding:profiles"),
+  listLayouts: () => ipcRenderer.invoke("layouts:list"),
+  saveLayout: (layout) => ipcRenderer.invoke("layouts:save", layout),
+  deleteLayout: (id) => ipcRenderer.invoke("layouts:delete", id),
+  listCaptionStyles: () => ipcRenderer.invoke("captionStyles:list"),
+  saveCaptionStyle: (style) => ipcRenderer.invoke("captionStyles:save", style),
+  deleteCaptionStyle: (id) => ipcRenderer.invoke("captionStyles:delete", id),
+  exportCaptionStyles: () => ipcRenderer.invoke("captionStyles:export"),
+  importCaptionStyles: () => ipcRenderer.invoke("captionStyles:import"),
   openExternal: (url) => ipcRenderer.invoke("shell:openExternal", url),
   checkForUpdates: () => ipcRenderer.invoke("update:check"),
   installUpdate: () => ipcRenderer.invoke("update:install"),
@@ -26,8 +46,13 @@ contextBridge.exposeInMainWorld("api", {
     ipcRenderer.on("pipeline:error", handler);
     return () => ipcRenderer.removeListener("pipeline:error", handler);
   },
+  onTranscriptReview: (callback) => {
+    const handler = (_event, data) => callback(data);
+    ipcRenderer.on("pipeline:review", handler);
+    return () => ipcRenderer.removeListener("pipeline:review", handler);
+  },
   onProgress: (callback) => {
-    const handler = (_event, data) => callback(data.progress, data.message);
+    const handler = (_event, data) => callback(data.progress, data.message, data);
     ipcRenderer.on("pipeline:progress", handler);
     return () => ipcRenderer.removeListener("pipeline:progress", handler);
   }
@@ -2,7 +2,77 @@ const fs = require("fs");
 const path = require("path");
 const { spawn } = require("child_process");
 const ffmpegStatic = require("ffmpeg-static");
+const ffprobeStatic = require("ffprobe-static");
 const { transcribeWithWhisper } = require("./whisper.cjs");
+const { analyzeReframeTrack, writeReframeCommands } = require("./reframe.cjs");
+const {
+  validateEncodingProfile,
+  describeEncodingProfiles,
+  resolveEncodedSize,
+  buildEncodingArgs
+} = require("./encoding.cjs");
+const {
+  resolveLoudnessTarget,
+  measureLoudness,
+  buildLoudnormFilter,
+  parseLoudnormStats,
+  summarizeLoudness
+} = require("./loudness.cjs");
+const { applyMusicBed } = require("./music.cjs");
+const { applyWatermark, applyBumpers } = require("./branding.cjs");
+const { pickEmphasis, applyPunchIns } = require("./punchins.cjs");
+const {
+  resolveCaptionStyle,
+  buildCaptionStyleLine,
+  formatCaptionText,
+  toAssOverrideColor
+} = require("./captionstyles.cjs");
+const {
+  resolveSubtitleOptions,
+  buildSrt,
+  writeSidecars,
+  exportAss,
+  buildSoftSubtitleArgs,
+  sidecarPath
+} = require("./subtitles.cjs");
+const {
+  resolveCoverCount,
+  applyCoverBranch,
+  buildCoverOutputArgs,
+  listCovers
+} = require("./covers.cjs");
+const {
+  createTimeline,
+  isIdentityTimeline,
+  applyTimeline,
+  applyMontage,
+  retimeRanges,
+  subtractRanges
+} = require("./timeline.cjs");
+const {
+  measureLoudnessEnvelope,
+  scoreEnergyWindows,
+  scoreDialogueWindows,
+  measureReactionFeatures,
+  findReactionCues,
+  scoreReactions,
+  scoreReactionWindows,
+  pickTopWindows,
+  parseKeywords,
+  detectSceneCuts,
+  detectSilences
+} = require("./highlights.cjs");
+
+const OUTPUT_FORMATS = {
+  "9:16": { width: 1080, height: 1920 },
+  "4:5": { width: 1080, height: 1350 },
+  "1:1": { width: 1080, height: 1080 },
+  "16:9": { width: 1920, height: 1080 }
+};
+
+function resolveOutputFormat(settings) {
+  return OUTPUT_FORMATS[settings?.aspect] || OUTPUT_FORMATS["9:16"];
+}
 
 function runCommand(command, args, onProgress) {
   return new Promise((resolve, reject) => {
@@ -41,13 +111,15 @@ function parseTimeSeconds(line) {
   return hours * 3600 + minutes * 60 + seconds + fraction;
 }
 
-function runFfmpegWithProgress(command, args, onProgress) {
+function runFfmpegWithProgress(command, args, onProgress, expectedSeconds) {
   return new Promise((resolve, reject) => {
     const child = spawn(command, args, { stdio: "pipe" });
-    let totalSeconds = null;
+    let totalSeconds = expectedSeconds || null;
+    let stderrTail = "";
 
     child.stderr.on("data", (chunk) => {
       const text = chunk.toString();
+      stderrTail = (stderrTail + text).slice(-16384);
       if (text.trim().length > 0) {
         onProgress?.(35, "FFmpeg running...");
       }
@@ -65,7 +137,7 @@ function runFfmpegWithProgress(command, args, onProgress) {
 
     child.on("error", (err) => reject(err));
     child.on("close", (code) => {
-      if (code === 0) resolve();
+      if (code === 0) resolve(stderrTail);
       else reject(new Error(`FFmpeg failed with exit code ${code}`));
     });
   });
@@ -78,9 +150,477 @@ function resolvePackedBinary(binPath) {
   return binPath;
 }
 
-function selectBestMoment(_inputPath, _settings) {
-  // TODO: Implement audio-energy + reaction detection (smiles/laughs/cheers) scoring.
-  return { start: 0, duration: _settings?.targetDuration || 30 };
+function probeMedia(inputPath) {
+  const ffprobePath = resolvePackedBinary(ffprobeStatic?.path) || "ffprobe";
+  const args = ["-v", "error", "-print_format", "json", "-show_streams", "-show_format", inputPath];
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffprobePath, args, { stdio: "pipe" });
+    let stdout = "";
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk.toString();
+    });
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffprobe failed with exit code ${code}`));
+        return;
+      }
+      try {
+        const data = JSON.parse(stdout);
+        const streams = data?.streams || [];
+        const video = streams.find((stream) => stream.codec_type === "video");
+        const rotation = Math.abs(
+          Number(video?.tags?.rotate ?? video?.side_data_list?.find((item) => "rotation" in item)?.rotation ?? 0)
+        );
+        const swap = rotation === 90 || rotation === 270;
+        const [rateNum, rateDen] = String(video?.avg_frame_rate || "0/1").split("/").map(Number);
+        resolve({
+          width: Number(swap ? video?.height : video?.width) || 0,
+          height: Number(swap ? video?.width : video?.height) || 0,
+          fps: rateDen ? rateNum / rateDen : 0,
+          duration: Number(data?.format?.duration || 0),
+          hasAudio: streams.some((stream) => stream.codec_type === "audio"),
+          subtitleStreams: streams.filter((stream) => stream.codec_type === "subtitle")
+        });
+      } catch (error) {
+        reject(new Error("ffprobe returned unreadable output"));
+      }
+    });
+  });
+}
+
+// Chains are joined into one -filter_complex; extra inputs are numbered after
+// the main source, which is always input 0.
+function createFilterGraph() {
+  const chains = [];
+  const inputs = [];
+  let count = 0;
+  return {
+    chains,
+    inputs,
+    addInput(args) {
+      inputs.push(args);
+      return String(inputs.length);
+    },
+    next(prefix = "v") {
+      count += 1;
+      return `${prefix}${count}`;
+    },
+    chain(from, filters, to) {
+      const sources = [].concat(from).map((label) => `[${label}]`).join("");
+      chains.push(`${sources}${filters}[${to}]`);
+      return to;
+    }
+  };
+}
+
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, "/").replace(/:/g, "\\:").replace(/'/g, "\\'");
+}
+
+function toFfmpegColor(hex) {
+  const match = String(hex || "").match(/^#?([0-9a-f]{6})$/i);
+  return match ? `0x${match[1]}` : "0x000000";
+}
+
+function normalizeRect(rect, fallback) {
+  const clamp = (value, min, max) => Math.min(Math.max(Number(value), min), max);
+  const source = rect && Number.isFinite(Number(rect.w)) ? rect : fallback;
+  const x = clamp(source.x ?? 0, 0, 0.95);
+  const y = clamp(source.y ?? 0, 0, 0.95);
+  return {
+    x,
+    y,
+    w: clamp(source.w ?? 1, 0.05, 1 - x),
+    h: clamp(source.h ?? 1, 0.05, 1 - y)
+  };
+}
+
+// Split layouts crop two regions of the source (rects are 0..1 of the frame)
+// and stack them; captions sit on the seam between the two panels.
+function applySplitLayout(graph, source, settings, canvas) {
+  const { width, height } = canvas;
+  const layout = settings?.splitLayout || {};
+  const camera = normalizeRect(layout.camera, { x: 0.7, y: 0, w: 0.3, h: 0.3 });
+  const content = normalizeRect(layout.content, { x: 0, y: 0, w: 1, h: 1 });
+  const ratio = Math.min(Math.max(Number(layout.cameraRatio) || 0.35, 0.15), 0.7);
+  const cameraHeight = Math.round((height * ratio) / 2) * 2;
+  const panels = [
+    { rect: camera, height: cameraHeight },
+    { rect: content, height: height - cameraHeight }
+  ];
+  if (layout.cameraPosition === "bottom") panels.reverse();
+
+  const [first, second] = [graph.next(), graph.next()];
+  graph.chains.push(`[${source}]split=2[${first}][${second}]`);
+  const stacked = [first, second].map((from, index) => {
+    const { rect, height: panelHeight } = panels[index];
+    return graph.chain(
+      from,
+      `crop=iw*${rect.w.toFixed(4)}:ih*${rect.h.toFixed(4)}:iw*${rect.x.toFixed(
+        4
+      )}:ih*${rect.y.toFixed(4)},scale=${width}:${panelHeight}:force_original_aspect_ratio=increase,crop=${width}:${panelHeight},setsar=1`,
+      graph.next()
+    );
+  });
+  const label = graph.chain(stacked, "vstack=inputs=2", graph.next());
+
+  const seam = panels[0].height;
+  const fontSize = Number(settings?.captionSize || 48);
+  const placement = {
+    alignment: 2,
+    marginV: Math.round(Math.min(Math.max(height - seam - fontSize / 2, 20), height - fontSize))
+  };
+  return { label, placement };
+}
+
+// Fit modes keep the whole source frame and fill the rest of the canvas; the
+// returned placement keeps captions in the free band below the picture.
+function applyFraming(graph, source, settings, canvas, media, reframe) {
+  const { width, height } = canvas;
+  const framing = settings?.framing || "crop";
+  if (framing === "split") {
+    return applySplitLayout(graph, source, settings, canvas);
+  }
+  if (framing === "crop" && reframe) {
+    const label = graph.chain(
+      source,
+      `scale=${reframe.scaledWidth}:${height},setsar=1,sendcmd=f='${escapeFilterPath(
+        reframe.commandsPath
+      )}',crop@reframe=${width}:${height}:${reframe.initialX}:0`,
+      graph.next()
+    );
+    return { label, placement: null };
+  }
+  if (framing === "crop" || !media?.width || !media?.height) {
+    const label = graph.chain(
+      source,
+      `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`,
+      graph.next()
+    );
+    return { label, placement: null };
+  }
+
+  // Generated backgrounds lead the overlay, so they must run at the source rate.
+  const rate = media.fps > 0 ? Number(media.fps.toFixed(3)) : 30;
+  let background;
+  let foregroundSource = source;
+  if (framing === "fit-color") {
+    background = graph.chain(
+      [],
+      `color=c=${toFfmpegColor(settings?.framingColor)}:s=${width}x${height}:r=${rate}`,
+      graph.next()
+    );
+  } else if (framing === "fit-image" && settings?.framingImagePath) {
+    const imageInput = graph.addInput(["-loop", "1", "-i", settings.framingImagePath]);
+    background = graph.chain(
+      `${imageInput}:v`,
+      `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,fps=${rate}`,
+      graph.next()
+    );
+  } else {
+    const [blurSource, fitSource] = [graph.next(), graph.next()];
+    graph.chains.push(`[${source}]split=2[${blurSource}][${fitSource}]`);
+    foregroundSource = fitSource;
+    // Blur at quarter size: much cheaper and looks the same once scaled up.
+    const smallW = Math.round(width / 8) * 2;
+    const smallH = Math.round(height / 8) * 2;
+    background = graph.chain(
+      blurSource,
+      `scale=${smallW}:${smallH}:force_original_aspect_ratio=increase,crop=${smallW}:${smallH},boxblur=10:2,scale=${width}:${height},setsar=1`,
+      graph.next()
+    );
+  }
+
+  const foreground = graph.chain(
+    foregroundSource,
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease,setsar=1`,
+    graph.next()
+  );
+  const label = graph.chain(
+    [background, foreground],
+    "overlay=(W-w)/2:(H-h)/2:shortest=1",
+    graph.next()
+  );
+
+  const fitHeight = Math.min(height, (width * media.height) / media.width);
+  const band = (height - fitHeight) / 2;
+  const fontSize = Number(settings?.captionSize || 48);
+  const placement =
+    band >= fontSize * 1.6
+      ? { alignment: 2, marginV: Math.round(Math.max((band - fontSize) / 2, 20)) }
+      : null;
+  return { label, placement };
+}
+
+function formatSelection(window, extra = {}) {
+  return {
+    start: Number(window.start.toFixed(2)),
+    duration: Number(window.duration.toFixed(2)),
+    score: Number(window.score.toFixed(3)),
+    ...extra
+  };
+}
+
+async function transcribeFullSource(inputPath, settings, onProgress, workDirs) {
+  try {
+    return await transcribeWithWhisper(
+      inputPath,
+      workDirs.captionsDir,
+      workDirs.audioDir,
+      settings,
+      (pct, message) => onProgress?.(5 + Math.round((pct / 100) * 4), message)
+    );
+  } catch (error) {
+    const message = error?.message || "Whisper failed";
+    throw new Error(`Whisper failed: ${message}`);
+  }
+}
+
+function discardTranscript(transcript) {
+  if (!transcript) return;
+  [transcript.srtPath, transcript.wtsPath, transcript.jsonPath, transcript.wavPath].forEach(
+    safeDelete
+  );
+}
+
+// Text subtitle codecs ffmpeg can turn into SRT; bitmap ones (PGS, DVD) cannot.
+const TEXT_SUBTITLE_CODECS = new Set(["subrip", "srt", "ass", "ssa", "webvtt", "mov_text", "text"]);
+
+function pickEmbeddedSubtitleStream(media) {
+  const streams = (media?.subtitleStreams || []).filter((stream) =>
+    TEXT_SUBTITLE_CODECS.has(stream.codec_name)
+  );
+  return streams.find((stream) => stream.disposition?.default) || streams[0] || null;
+}
+
+// Anything that is not plain SRT (WebVTT, ASS, an embedded stream) goes
+// through ffmpeg first, so one parser covers every source.
+async function convertToSrt(inputPath, mapArgs, captionsDir) {
+  const srtPath = path.join(captionsDir, `imported-${Date.now()}.srt`);
+  const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
+  try {
+    await runCommand(ffmpegPath, [
+      "-v",
+      "error",
+      "-y",
+      "-i",
+      inputPath,
+      ...mapArgs,
+      "-f",
+      "srt",
+      srtPath
+    ]);
+    return parseSrtFile(srtPath);
+  } finally {
+    safeDelete(srtPath);
+  }
+}
+
+// Only work that reads a transcript loads imported subtitles, so a stale
+// subtitle path left in the settings does not block renders that need none.
+function needsTranscript(settings, { selecting, rendering }) {
+  const forSelection = settings.highlightMode === "dialog" || settings.reactionWhisperCues;
+  const forRender =
+    settings.burnCaptions ||
+    settings.punchIns ||
+    (settings.jumpCut && settings.jumpCutFillers) ||
+    needsHeadline(settings);
+  return Boolean((selecting && forSelection) || (rendering && forRender));
+}
+
+// Subtitles that already exist replace Whisper when asked to: a file picked by
+// the user, or in auto mode the container's text subtitle stream. Cues stay on the source
+// timeline; null means transcribe as usual.
+async function loadImportedSubtitles(inputPath, settings, captionsDir, onProgress) {
+  const source = settings?.subtitleSource || "whisper";
+  if (source === "file") {
+    const filePath = settings.subtitlePath;
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error(`Subtitle file not found: ${filePath || "none selected"}`);
+    }
+    onProgress?.(4, "Reading subtitle file...");
+    const cues = /\.srt$/i.test(filePath)
+      ? parseSrtFile(filePath)
+      : await convertToSrt(filePath, [], captionsDir).catch(() => []);
+    if (!cues.length) throw new Error("No captions found in the subtitle file.");
+    return { cues, words: [] };
+  }
+  if (source !== "auto") return null;
+  const stream = pickEmbeddedSubtitleStream(await probeMedia(inputPath).catch(() => null));
+  if (!stream) return null;
+  onProgress?.(4, "Reading embedded subtitles...");
+  const mapArgs = ["-map", `0:${stream.index}`];
+  const cues = await convertToSrt(inputPath, mapArgs, captionsDir).catch(() => []);
+  return cues.length ? { cues, words: [] } : null;
+}
+
+function padDialogueWindow(window) {
+  // Small pads so the first and last words are not clipped by the cut.
+  const start = Math.max(window.start - 0.15, 0);
+  const end = window.start + window.duration + 0.35;
+  return { ...window, start, duration: end - start };
+}
+
+// Imported subtitles stand in for the full-source Whisper run.
+async function selectDialogueMoments(inputPath, settings, onProgress, workDirs, pick, imported) {
+  const targetDuration = Number(settings?.targetDuration || 30);
+  let transcript = null;
+  if (!imported) {
+    onProgress?.(5, "Transcribing full source for dialogue peaks...");
+    transcript = await transcribeFullSource(inputPath, settings, onProgress, workDirs);
+  }
+
+  onProgress?.(14, "Scoring dialogue peaks...");
+  const cues = imported ? imported.cues : parseSrtFile(transcript.srtPath);
+  const windows = scoreDialogueWindows(cues, targetDuration, {
+    keywords: settings?.highlightKeywords
+  });
+  const picked = pick(windows);
+  if (!picked.length) {
+    discardTranscript(transcript);
+    return null;
+  }
+  return {
+    moments: picked.map((window) => formatSelection(padDialogueWindow(window), { mode: "dialog" })),
+    transcript
+  };
+}
+
+async function selectBestMoments(inputPath, settings, onProgress, workDirs, imported) {
+  const targetDuration = Number(settings?.targetDuration || 30);
+  const clipCount = Math.min(Math.max(Math.round(Number(settings?.clipCount || 1)), 1), 10);
+  const minGapSec = Math.max(Number(settings?.minClipGapSec ?? 30), 0);
+  const pick = (windows) => pickTopWindows(windows, clipCount, minGapSec);
+  const fallback = (mode) => [{ start: 0, duration: targetDuration, score: 0, mode }];
+
+  const useReactions = settings?.highlightMode !== "dialog";
+  if (!useReactions) {
+    const dialogue = await selectDialogueMoments(
+      inputPath,
+      settings,
+      onProgress,
+      workDirs,
+      pick,
+      imported
+    );
+    if (dialogue) return dialogue;
+    onProgress?.(5, "No dialogue found. Falling back to audio energy...");
+  }
+
+  let transcript = null;
+  if (useReactions && settings?.reactionWhisperCues && !imported) {
+    onProgress?.(5, "Transcribing full source for sound cues...");
+    // The full JSON output carries the segment texts with sound annotations.
+    transcript = await transcribeFullSource(
+      inputPath,
+      { ...settings, wordLevelCaptions: true },
+      onProgress,
+      workDirs
+    );
+  }
+
+  const envelope = await measureLoudnessEnvelope(inputPath, (pct, message) => {
+    onProgress?.(9 + Math.round((pct / 100) * 2), message);
+  });
+  if (!useReactions) {
+    const picked = pick(scoreEnergyWindows(envelope, targetDuration));
+    return {
+      moments: picked.length
+        ? picked.map((window) => formatSelection(window, { mode: "energy" }))
+        : fallback("energy"),
+      transcript
+    };
+  }
+
+  const features = await measureReactionFeatures(inputPath, (pct, message) => {
+    onProgress?.(11 + Math.round((pct / 100) * 3), message);
+  });
+  const spoken = transcript
+    ? [
+        ...parseSrtFile(transcript.srtPath),
+        ...readSpans(parseWhisperSegments, transcript.jsonPath)
+      ]
+    : settings?.reactionWhisperCues && imported?.cues;
+  const cues = spoken ? findReactionCues(spoken) : [];
+  const reactions = scoreReactions(features, cues);
+  const picked = pick(scoreReactionWindows(envelope, reactions, targetDuration));
+  return {
+    moments: picked.length
+      ? picked.map((window) =>
+          formatSelection(window, { mode: "reactions", reaction: window.reaction })
+        )
+      : fallback("reactions"),
+    transcript
+  };
+}
+
+// Scene cuts win over silence gaps at equal distance; the small penalty keeps a
+// hard cut from being missed for a pause a few frames closer.
+function nearestBoundary(time, candidates, tolerance) {
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = Math.abs(candidate.time - time);
+    if (distance > tolerance) continue;
+    const cost = distance + (candidate.source === "silence" ? 0.2 : 0);
+    if (!best || cost < best.cost) best = { ...candidate, cost };
+  }
+  return best;
+}
+
+async function scanBoundaries(inputPath, time, tolerance) {
+  const from = Math.max(time - tolerance, 0);
+  const span = time + tolerance - from;
+  const cuts = await detectSceneCuts(inputPath, from, span);
+  const silences = await detectSilences(inputPath, from, span);
+  return { cuts, silences };
+}
+
+async function snapSelectionBoundaries(inputPath, selection, settings) {
+  const tolerance = Math.max(Number(settings?.snapToleranceSec ?? 1.5), 0);
+  if (!settings?.snapBoundaries || tolerance <= 0) return selection;
+  // Dialogue picks already start and end on sentence boundaries; a nearby
+  // scene cut would move them into the middle of a sentence.
+  if (selection.mode === "dialog") return selection;
+
+  const end = selection.start + selection.duration;
+  let startScan;
+  let endScan;
+  try {
+    startScan = await scanBoundaries(inputPath, selection.start, tolerance);
+    endScan = await scanBoundaries(inputPath, end, tolerance);
+  } catch (error) {
+    return selection;
+  }
+
+  // Start just before speech resumes, end just after it stops.
+  const startCandidates = [
+    ...startScan.cuts.map((time) => ({ time, source: "scene" })),
+    ...startScan.silences.map((gap) => ({ time: Math.max(gap.end - 0.1, gap.start), source: "silence" }))
+  ];
+  const endCandidates = [
+    ...endScan.cuts.map((time) => ({ time, source: "scene" })),
+    ...endScan.silences.map((gap) => ({ time: Math.min(gap.start + 0.1, gap.end), source: "silence" }))
+  ];
+  const snappedStart = nearestBoundary(selection.start, startCandidates, tolerance);
+  const snappedEnd = nearestBoundary(end, endCandidates, tolerance);
+  const newStart = snappedStart ? snappedStart.time : selection.start;
+  const newEnd = snappedEnd ? snappedEnd.time : end;
+  if (newEnd - newStart < selection.duration * 0.5) return selection;
+
+  const describe = (snapped, from) =>
+    snapped
+      ? { from, to: Number(snapped.time.toFixed(2)), source: snapped.source }
+      : null;
+  return {
+    ...selection,
+    start: Number(newStart.toFixed(2)),
+    duration: Number((newEnd - newStart).toFixed(2)),
+    snap: {
+      start: describe(snappedStart, selection.start),
+      end: describe(snappedEnd, Number(end.toFixed(2)))
+    }
+  };
 }
 
 function parseSrtTime(time) {
@@ -193,6 +733,34 @@ function parseWtsFile(wtsPath) {
   }));
 }
 
+function parseSrtFile(srtPath) {
+  const raw = fs.readFileSync(srtPath, "utf8").replace(/^\uFEFF/, "");
+  const blocks = raw.split(/\r?\n\r?\n/).filter(Boolean);
+  return blocks
+    .map((block) => block.split(/\r?\n/))
+    .flatMap((lines) => {
+      const timeLine = lines.find((line) => line.includes("-->"));
+      if (!timeLine) return [];
+      const [startRaw, endRaw] = timeLine.split("-->").map((s) => s.trim());
+      const textLines = lines.filter(
+        (line) => line && !line.includes("-->") && !/^\d+$/.test(line)
+      );
+      const text = textLines
+        .join(" ")
+        .replace(/\{.*?\}/g, "")
+        .replace(/<[^>]+>/g, "")
+        .trim();
+      if (!text) return [];
+      return [
+        {
+          start: parseAssSeconds(parseSrtTime(startRaw)),
+          end: parseAssSeconds(parseSrtTime(endRaw)),
+          text
+        }
+      ];
+    });
+}
+
 function parseWhisperJson(jsonPath) {
   const raw = fs.readFileSync(jsonPath, "utf8");
   const data = JSON.parse(raw);
@@ -228,229 +796,926 @@ function parseWhisperJson(jsonPath) {
   }));
 }
 
-function buildAssFromWordList(words, outputDir, settings, selection, offsetSec) {
-  if (!words.length) throw new Error("No word timestamps found");
-  const style = settings?.captionStyle || "clean";
-  const fontSize = settings?.captionSize || 48;
-  const position = settings?.captionPosition || "bottom";
+// Segment texts with their non-speech annotations ("[Laughter]", "(applause)")
+// intact; parseWhisperJson keeps words only, so reaction cues are read here.
+function parseWhisperSegments(jsonPath) {
+  const data = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  return (data?.transcription || []).flatMap((segment) => {
+    const text = String(segment?.text ?? "").trim();
+    const from = Number(segment?.offsets?.from);
+    const to = Number(segment?.offsets?.to);
+    if (!text || !Number.isFinite(from) || !Number.isFinite(to)) return [];
+    return [{ start: from / 1000, end: to / 1000, text }];
+  });
+}
 
-  const styles = {
-    clean: {
-      font: "Segoe UI Semibold",
-      size: fontSize,
-      primary: "&H00FFFFFF",
-      outline: "&H00111111",
-      shadow: 1,
-      borderStyle: 1,
-      outlineSize: 3
-    },
-    neon: {
-      font: "Space Grotesk",
-      size: fontSize,
-      primary: "&H00E8FFF5",
-      outline: "&H0031C9A9",
-      shadow: 2,
-      borderStyle: 1,
-      outlineSize: 4
-    },
-    boxed: {
-      font: "IBM Plex Sans",
-      size: fontSize,
-      primary: "&H00FFFFFF",
-      outline: "&H00111111",
-      shadow: 0,
-      borderStyle: 3,
-      outlineSize: 3
-    },
-    punchy: {
-      font: "Impact",
-      size: fontSize + 4,
-      primary: "&H00FFFFFF",
-      outline: "&H00000000",
-      shadow: 2,
-      borderStyle: 1,
-      outlineSize: 4
+// Maps source-timeline transcript times onto the output: clipped to the kept
+// pieces (the whole selection without a timeline edit), then scaled by the
+// caption speed fix and offset.
+function createCaptionClock({ selection, offsetSec, settings, timeline }) {
+  const start = Number(selection.start || 0);
+  const clipTimeline =
+    timeline || createTimeline([{ start, end: start + Number(selection.duration || 0) }]);
+  const timeScale = 100 / Number(settings?.captionSpeed || 100);
+  const shift = (time) => Math.max(time * timeScale + offsetSec, 0);
+  return {
+    range(from, to) {
+      const mapped = clipTimeline.mapRange(from, to);
+      if (!mapped) return null;
+      const [mappedFrom, mappedTo] = mapped.map(shift);
+      return mappedTo > mappedFrom ? [mappedFrom, mappedTo] : null;
     }
   };
+}
+
+const PHRASE_GAP_SEC = 0.8;
+
+// Groups timed words into phrases: a new one starts at the caption word/char
+// limits or after a pause.
+function groupPhrases(words, settings) {
+  const maxWords = settings?.captionMaxWords || 6;
+  const maxChars = settings?.captionMaxChars || 36;
+  const phrases = [];
+  let current = [];
+  for (const word of words) {
+    const last = current[current.length - 1];
+    const length = [...current, word].map((item) => item.text).join(" ").length;
+    if (
+      last &&
+      (current.length >= maxWords ||
+        length > maxChars ||
+        word.start - last.end > PHRASE_GAP_SEC)
+    ) {
+      phrases.push(current);
+      current = [];
+    }
+    current.push(word);
+  }
+  if (current.length) phrases.push(current);
+  return phrases;
+}
 
-  const chosen = styles[style] || styles.clean;
-  const alignment = position === "middle" ? 5 : 2;
+// One event per word: the whole phrase, with the spoken word restyled. Each
+// event runs until the next word starts so the phrase never flickers.
+function buildKaraokeEvents(words, settings, style) {
+  const phrases = groupPhrases(words, settings);
+  const color = toAssOverrideColor(style.highlightColor);
+  const scale =
+    style.highlightScale !== 100 ? `\\fscx${style.highlightScale}\\fscy${style.highlightScale}` : "";
+  return phrases.flatMap((phrase) =>
+    phrase.map((word, index) => {
+      const next = phrase[index + 1];
+      const end = next ? Math.max(next.start, word.start + 0.01) : word.end;
+      const text = phrase
+        .map((item, itemIndex) =>
+          itemIndex === index ? `{\\c${color}${scale}}${item.text}{\\r}` : item.text
+        )
+        .join(" ");
+      return `Dialogue: 0,${formatAssSeconds(word.start)},${formatAssSeconds(end)},Default,,0,0,0,,${text}`;
+    })
+  );
+}
 
-  const assHeader = `[Script Info]
+// One header for every caption builder: the chosen preset as the Default
+// style, placed by framing when it moved the captions off the picture.
+function buildCaptionHeader(settings, placement) {
+  const style = resolveCaptionStyle(settings);
+  const position = settings?.captionPosition || "bottom";
+  // 2=bottom-center, 5=middle-center; framing may move captions off the picture.
+  const alignment = placement?.alignment ?? (position === "middle" ? 5 : 2);
+  const canvas = resolveOutputFormat(settings);
+  const styleLine = buildCaptionStyleLine(style, {
+    fontSize: settings?.captionSize || 48,
+    alignment,
+    marginV: placement?.marginV
+  });
+  const header = `[Script Info]
 ScriptType: v4.00+
-PlayResX: 1080
-PlayResY: 1920
+PlayResX: ${canvas.width}
+PlayResY: ${canvas.height}
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,${chosen.font},${chosen.size},${chosen.primary},&H00000000,${chosen.outline},&H80000000,0,0,0,0,100,100,0,0,${chosen.borderStyle},${chosen.outlineSize},${chosen.shadow},${alignment},60,60,80,1
+${styleLine}
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
+  return { style, header };
+}
 
-  const selectionStart = Number(selection?.start || 0);
-  const selectionEnd = selectionStart + Number(selection?.duration || 0);
+function writeCaptionAss(outputDir, header, events) {
+  const assPath = path.join(outputDir, `captions-${Date.now()}.ass`);
+  fs.writeFileSync(assPath, header + events.join("\n"), "utf8");
+  return assPath;
+}
 
-  const timeScale = 100 / Number(settings?.captionSpeed || 100);
-  const minWordSec = Number(settings?.minWordDurationMs || 120) / 1000;
+function buildAssFromWordList(words, outputDir, settings, clock, placement) {
+  if (!words.length) throw new Error("No word timestamps found");
+  const { style, header } = buildCaptionHeader(settings, placement);
 
-  const events = words
-    .filter((word) => {
-      if (selectionEnd > 0 && (word.end <= selectionStart || word.start >= selectionEnd)) {
-        return false;
-      }
-      return true;
-    })
-    .map((word) => {
-      const clippedStart = Math.max(word.start, selectionStart);
-      const clippedEnd = selectionEnd > 0 ? Math.min(word.end, selectionEnd) : word.end;
-      const adjustedStart = Math.max((clippedStart - selectionStart) * timeScale + offsetSec, 0);
-      let adjustedEnd = Math.max((clippedEnd - selectionStart) * timeScale + offsetSec, 0);
-      if (adjustedEnd - adjustedStart < minWordSec) {
-        adjustedEnd = adjustedStart + minWordSec;
+  const minWordSec = Number(settings?.minWordDurationMs || 120) / 1000;
+  const timed = words.flatMap((word) => {
+    const range = clock.range(word.start, word.end);
+    if (!range) return [];
+    const [start] = range;
+    return [
+      {
+        text: formatCaptionText(style, word.text),
+        start,
+        end: Math.max(range[1], start + minWordSec)
       }
-      return `Dialogue: 0,${formatAssSeconds(adjustedStart)},${formatAssSeconds(
-        adjustedEnd
-      )},Default,,0,0,0,,${word.text}`;
-    })
-    .join("\n");
+    ];
+  });
 
-  const assPath = path.join(outputDir, `captions-${Date.now()}.ass`);
-  fs.writeFileSync(assPath, assHeader + events, "utf8");
-  return assPath;
+  const events = settings?.karaokeCaptions
+    ? buildKaraokeEvents(timed, settings, style)
+    : timed.map(
+        (word) =>
+          `Dialogue: 0,${formatAssSeconds(word.start)},${formatAssSeconds(
+            word.end
+          )},Default,,0,0,0,,${word.text}`
+      );
+  return writeCaptionAss(outputDir, header, events);
 }
 
-function buildAssFromWts(wtsPath, outputDir, settings, selection, offsetSec) {
-  const words = parseWtsFile(wtsPath);
-  return buildAssFromWordList(words, outputDir, settings, selection, offsetSec);
+// Cue lines on the output timeline. Cues longer than the word/char limits are
+// split into chunks sharing the cue's span evenly.
+function buildCaptionLines(cues, settings, clock, format = (text) => text) {
+  const maxWords = settings?.captionMaxWords || 6;
+  const maxChars = settings?.captionMaxChars || 36;
+
+  return cues.flatMap(({ start: startSec, end: endSec, text: rawText }) => {
+    const range = clock.range(startSec, endSec);
+    if (!range) return [];
+
+    const text = format(rawText);
+    const chunks = splitCaptionText(text, maxWords, maxChars);
+    const [adjustedStart, adjustedEnd] = range;
+    if (chunks.length <= 1) return [{ start: adjustedStart, end: adjustedEnd, text }];
+
+    const total = Math.max(adjustedEnd - adjustedStart, 0.1);
+    const slice = total / chunks.length;
+
+    return chunks.map((chunk, index) => ({
+      start: adjustedStart + slice * index,
+      end: adjustedStart + slice * (index + 1),
+      text: chunk
+    }));
+  });
 }
 
-function buildAssFromSrt(srtPath, outputDir, settings, selection, offsetSec) {
-  const raw = fs.readFileSync(srtPath, "utf8");
-  const blocks = raw.split(/\r?\n\r?\n/).filter(Boolean);
+function buildAssFromCues(cues, outputDir, settings, clock, placement) {
+  const { style, header } = buildCaptionHeader(settings, placement);
+  const events = buildCaptionLines(cues, settings, clock, (text) =>
+    formatCaptionText(style, text)
+  ).map(
+    (line) =>
+      `Dialogue: 0,${formatAssSeconds(line.start)},${formatAssSeconds(
+        line.end
+      )},Default,,0,0,0,,${line.text}`
+  );
+  return writeCaptionAss(outputDir, header, events);
+}
 
-  const style = settings?.captionStyle || "clean";
-  const fontSize = settings?.captionSize || 48;
-  const position = settings?.captionPosition || "bottom";
+const HOOK_ANIMATIONS = {
+  none: "",
+  pop: "{\\fad(120,250)\\fscx70\\fscy70\\t(0,180,\\fscx108\\fscy108)\\t(180,300,\\fscx100\\fscy100)}",
+  fade: "{\\fad(350,350)}",
+  slide: (x, y, from) => `{\\fad(0,250)\\move(${x},${from},${x},${y},0,300)}`
+};
 
-  const styles = {
-    clean: {
-      font: "Segoe UI Semibold",
-      size: fontSize,
-      primary: "&H00FFFFFF",
-      outline: "&H00111111",
-      shadow: 1,
-      borderStyle: 1,
-      outlineSize: 3
-    },
-    neon: {
-      font: "Space Grotesk",
-      size: fontSize,
-      primary: "&H00E8FFF5",
-      outline: "&H0031C9A9",
-      shadow: 2,
-      borderStyle: 1,
-      outlineSize: 4
-    },
-    boxed: {
-      font: "IBM Plex Sans",
-      size: fontSize,
-      primary: "&H00FFFFFF",
-      outline: "&H00111111",
-      shadow: 0,
-      borderStyle: 3,
-      outlineSize: 3
-    },
-    punchy: {
-      font: "Impact",
-      size: fontSize + 4,
-      primary: "&H00FFFFFF",
-      outline: "&H00000000",
-      shadow: 2,
-      borderStyle: 1,
-      outlineSize: 4
-    }
-  };
+// The hook headline is its own ASS script on a higher layer. It goes to the
+// half of the frame the captions are not using, so the two never collide.
+// `still` drops the animation and holds it for `duration` (cover images).
+function buildHookAss(text, outputDir, settings, placement, { still = false, duration: holdSec } = {}) {
+  const canvas = resolveOutputFormat(settings);
+  const fontSize = Math.round(Number(settings?.captionSize || 48) * 1.35);
+  const duration =
+    holdSec ?? Math.min(Math.max(Number(settings?.hookDurationSec ?? 2.5), 0.5), 10);
+  const captionAlignment = placement?.alignment ?? (settings?.captionPosition === "middle" ? 5 : 2);
+  const captionMarginV = placement?.marginV ?? resolveCaptionStyle(settings).marginV;
+  const captionY =
+    captionAlignment === 5 ? canvas.height / 2 : canvas.height - captionMarginV;
+  const atTop = captionY > canvas.height * 0.45;
+  const marginV = Math.round(canvas.height * 0.1);
 
-  const chosen = styles[style] || styles.clean;
+  const x = Math.round(canvas.width / 2);
+  const y = atTop ? marginV : canvas.height - marginV;
+  const animation = still ? "none" : settings?.hookAnimation || "pop";
+  const tags =
+    animation === "slide"
+      ? HOOK_ANIMATIONS.slide(x, y, atTop ? -fontSize * 2 : canvas.height + fontSize * 2)
+      : HOOK_ANIMATIONS[animation] ?? HOOK_ANIMATIONS.pop;
+  const position = animation === "slide" ? "" : `{\\pos(${x},${y})}`;
 
-  const alignment = position === "middle" ? 5 : 2; // 2=bottom-center, 5=middle-center
-  const assHeader = `[Script Info]
+  const header = `[Script Info]
 ScriptType: v4.00+
-PlayResX: 1080
-PlayResY: 1920
+PlayResX: ${canvas.width}
+PlayResY: ${canvas.height}
+WrapStyle: 0
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,${chosen.font},${chosen.size},${chosen.primary},&H00000000,${chosen.outline},&H80000000,0,0,0,0,100,100,0,0,${chosen.borderStyle},${chosen.outlineSize},${chosen.shadow},${alignment},60,60,80,1
+Style: Hook,Impact,${fontSize},&H00FFFFFF,&H00000000,&H20101010,&H80000000,1,0,0,0,100,100,0,0,3,14,0,${atTop ? 8 : 2},90,90,${marginV},1
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
+  const safeText = text.replace(/[{}]/g, "").replace(/\r?\n/g, "\\N");
+  const event = `Dialogue: 1,${formatAssSeconds(0)},${formatAssSeconds(
+    duration
+  )},Hook,,0,0,0,,${tags}${position}${safeText}`;
 
-  const maxWords = settings?.captionMaxWords || 6;
-  const maxChars = settings?.captionMaxChars || 36;
+  const assPath = path.join(outputDir, `hook-${Date.now()}.ass`);
+  fs.writeFileSync(assPath, header + event, "utf8");
+  return assPath;
+}
+
+function readSpans(parse, filePath) {
+  if (!filePath) return [];
+  try {
+    return parse(filePath);
+  } catch (error) {
+    return [];
+  }
+}
 
-  const selectionStart = Number(selection?.start || 0);
-  const selectionEnd = selectionStart + Number(selection?.duration || 0);
+function overlapsRanges(span, ranges) {
+  return ranges.some((range) => span.end > range.start && span.start < range.start + range.duration);
+}
 
-  const timeScale = 100 / Number(settings?.captionSpeed || 100);
-  const events = blocks
-    .map((block) => block.split(/\r?\n/))
-    .flatMap((lines) => {
-      const timeLine = lines.find((line) => line.includes("-->"));
-      if (!timeLine) return [];
-      const [startRaw, endRaw] = timeLine.split("-->").map((s) => s.trim());
-      const start = parseSrtTime(startRaw);
-      const end = parseSrtTime(endRaw);
-      const startSec = parseAssSeconds(start);
-      const endSec = parseAssSeconds(end);
+// Caption cues and word timings from one set of Whisper outputs, moved onto
+// the source timeline by `shift` seconds.
+function readTranscript(files, shift) {
+  const move = (span) => ({ ...span, start: span.start + shift, end: span.end + shift });
+  const wtsWords = readSpans(parseWtsFile, files.wtsPath);
+  const words = wtsWords.length ? wtsWords : readSpans(parseWhisperJson, files.jsonPath);
+  return {
+    cues: readSpans(parseSrtFile, files.srtPath).map(move),
+    words: words.map(move)
+  };
+}
 
-      if (selectionEnd > 0 && (endSec <= selectionStart || startSec >= selectionEnd)) {
-        return [];
-      }
+// The clip's transcript on the source timeline: imported subtitles clipped to
+// the ranges, the full-source transcript when there is one, otherwise one
+// Whisper run per range (montage segments each get their own). Per-run files
+// are queued on `clipFiles` for cleanup.
+// A hook (or cover hook) without its own text uses the clip's first sentence.
+function needsHeadline(settings) {
+  if (String(settings.hookText || "").trim()) return false;
+  return Boolean(settings.hookEnabled || (settings.coverHook && resolveCoverCount(settings) > 0));
+}
 
-      const clippedStart = Math.max(startSec, selectionStart);
-      const clippedEnd = selectionEnd > 0 ? Math.min(endSec, selectionEnd) : endSec;
-      if (clippedEnd <= clippedStart) return [];
-      const textLines = lines.filter(
-        (line) => line && !line.includes("-->") && !/^\d+$/.test(line)
+async function loadClipTranscript(job, ranges, needsWords, onProgress, clipFiles) {
+  const { inputPath, settings, captionsDir, audioDir, sourceTranscript, importedTranscript } = job;
+  if (importedTranscript) {
+    return {
+      cues: importedTranscript.cues.filter((cue) => overlapsRanges(cue, ranges)),
+      words: []
+    };
+  }
+  if (sourceTranscript) return readTranscript(sourceTranscript, 0);
+  const transcript = { cues: [], words: [] };
+  if (!settings.burnCaptions && !needsWords && !needsHeadline(settings)) return transcript;
+
+  for (let index = 0; index < ranges.length; index += 1) {
+    const range = ranges[index];
+    onProgress?.(
+      15,
+      ranges.length > 1
+        ? `Running Whisper transcription (segment ${index + 1}/${ranges.length})...`
+        : "Running Whisper transcription..."
+    );
+    let result;
+    try {
+      result = await transcribeWithWhisper(
+        inputPath,
+        captionsDir,
+        audioDir,
+        needsWords ? { ...settings, wordLevelCaptions: true } : settings,
+        onProgress,
+        range
       );
-      const text = textLines.join(" ").replace(/\{.*?\}/g, "").trim();
-      if (!text) return [];
+    } catch (error) {
+      const message = error?.message || "Whisper failed";
+      throw new Error(`Whisper failed: ${message}`);
+    }
+    clipFiles.push(result?.srtPath, result?.wtsPath, result?.jsonPath, result?.wavPath);
+    if (settings.burnCaptions && !result?.srtPath) {
+      throw new Error("Whisper captions not found. Cannot burn subtitles.");
+    }
+    const autoOffsetSec = settings.autoCaptionOffset
+      ? await detectLeadingSilenceSec(result.wavPath)
+      : 0;
+    const part = readTranscript(result, range.start + autoOffsetSec);
+    transcript.cues.push(...part.cues);
+    transcript.words.push(...part.words);
+  }
+  return transcript;
+}
+
+// Speech spans on the output timeline, from the most precise timings
+// available (words, then caption cues). Used to duck the music bed.
+function collectSpeechIntervals(transcript, clock) {
+  const spans = transcript.words.length ? transcript.words : transcript.cues;
+  return spans.flatMap((span) => {
+    const range = clock.range(span.start, span.end);
+    return range ? [{ start: range[0], end: range[1] }] : [];
+  });
+}
 
-      const chunks = splitCaptionText(text, maxWords, maxChars);
-      const adjustedStart = Math.max((clippedStart - selectionStart) * timeScale + offsetSec, 0);
-      const adjustedEnd = Math.max((clippedEnd - selectionStart) * timeScale + offsetSec, 0);
-      if (chunks.length <= 1) {
-        return [
-          `Dialogue: 0,${formatAssSeconds(adjustedStart)},${formatAssSeconds(
-            adjustedEnd
-          )},Default,,0,0,0,,${text}`
-        ];
+// First sentence spoken inside the range, trimmed to a headline length.
+// Caption cues keep punctuation, so they are preferred over word tokens here.
+function firstSentence(transcript, selection, maxWords = 10) {
+  const spans = transcript.cues.length ? transcript.cues : transcript.words;
+  const start = Number(selection.start || 0);
+  const end = start + Number(selection.duration || 0);
+  const words = [];
+  for (const span of spans) {
+    if (span.end <= start || span.start >= end) continue;
+    for (const word of span.text.split(/\s+/).filter(Boolean)) {
+      words.push(word);
+      if (/[.!?]["')\]]*$/.test(word) || words.length >= maxWords) {
+        return words.join(" ").replace(/[,;:]$/, "");
       }
+    }
+  }
+  return words.join(" ");
+}
 
-      const total = Math.max(adjustedEnd - adjustedStart, 0.1);
-      const slice = total / chunks.length;
+// Lines for the review step, limited to what the clip covers: caption cues
+// holding the words spoken during them, or word phrases when there are no cues.
+function buildReviewLines(transcript, ranges, settings) {
+  const inClip = (span) => overlapsRanges(span, ranges);
+  const words = transcript.words.filter(inClip);
+  const cues = transcript.cues.filter(inClip);
+  if (!cues.length) {
+    return groupPhrases(words, settings).map((phrase) => ({
+      start: phrase[0].start,
+      end: phrase[phrase.length - 1].end,
+      text: phrase.map((word) => word.text).join(" "),
+      words: phrase
+    }));
+  }
+  const lines = cues.map((cue) => ({ ...cue, words: [] }));
+  for (const word of words) {
+    const owner = lines.filter((line) => line.start <= word.start + 0.05).pop() || lines[0];
+    owner.words.push(word);
+  }
+  return lines;
+}
+
+// The edited lines become the cues and their words the word timings, so every
+// later step (captions, cuts, punch-ins, hook) works from the fixed text.
+function readReviewedTranscript(lines) {
+  const toSpans = (items) =>
+    (Array.isArray(items) ? items : [])
+      .flatMap((item) => {
+        const start = Number(item?.start);
+        const end = Number(item?.end);
+        const text = String(item?.text ?? "")
+          .replace(/[{}]/g, "")
+          .replace(/\s+/g, " ")
+          .trim();
+        if (!text || !Number.isFinite(start) || !Number.isFinite(end)) return [];
+        return [{ start: Math.max(start, 0), end: Math.max(end, start), text }];
+      })
+      .sort((a, b) => a.start - b.start);
+  return {
+    cues: toSpans(lines),
+    words: toSpans((Array.isArray(lines) ? lines : []).flatMap((line) => line?.words || []))
+  };
+}
 
-      return chunks.map((chunk, index) => {
-        const segStart = formatAssSeconds(adjustedStart + slice * index);
-        const segEnd = formatAssSeconds(adjustedStart + slice * (index + 1));
-        return `Dialogue: 0,${segStart},${segEnd},Default,,0,0,0,,${chunk}`;
+async function reviewClipTranscript(job, transcript, ranges, onProgress) {
+  if (!job.settings.reviewTranscript || !job.reviewTranscript) return transcript;
+  const lines = buildReviewLines(transcript, ranges, job.settings);
+  if (!lines.length) return transcript;
+  onProgress?.(28, "Waiting for transcript review...");
+  const reviewed = await job.reviewTranscript({ lines, ranges });
+  if (!reviewed) throw new Error("Render cancelled during transcript review.");
+  return readReviewedTranscript(reviewed);
+}
+
+const OVERLAPPING_TRANSITIONS = new Set(["crossfade", "whip"]);
+const FILLER_WORDS = new Set(["um", "umm", "uh", "uhh", "uhm", "er", "erm", "ah", "hmm", "mm", "mhm"]);
+const JUMP_CUT_PAD_SEC = 0.12;
+
+// Pauses longer than `minPause` (silencedetect plus gaps between words),
+// shrunk by a short pad on each side so speech is not clipped.
+async function findPauses(inputPath, selection, minPause, words) {
+  const pauses = [];
+  const addPause = (start, end) => {
+    if (end - start >= minPause) {
+      pauses.push({ start: start + JUMP_CUT_PAD_SEC, end: end - JUMP_CUT_PAD_SEC });
+    }
+  };
+
+  const silences = await detectSilences(inputPath, selection.start, selection.duration).catch(
+    () => []
+  );
+  silences.forEach((silence) => addPause(silence.start, silence.end));
+
+  const sorted = [...words].sort((a, b) => a.start - b.start);
+  sorted.forEach((word, index) => {
+    const next = sorted[index + 1];
+    if (next) addPause(word.end, next.start);
+  });
+  return pauses;
+}
+
+// Jump cuts drop pauses longer than the threshold and optionally filler
+// words. Returns the kept ranges on the source timeline.
+async function planJumpCuts(inputPath, selection, settings, words) {
+  const minPause = Math.max(Number(settings?.jumpCutMinPauseSec ?? 0.6), 0.2);
+  const cuts = await findPauses(inputPath, selection, minPause, words);
+  if (settings?.jumpCutFillers) {
+    words.forEach((word) => {
+      const bare = word.text.toLowerCase().replace(/[^a-z]/g, "");
+      if (FILLER_WORDS.has(bare)) cuts.push({ start: word.start, end: word.end });
+    });
+  }
+  return subtractRanges(selection, cuts);
+}
+
+function resolveClipSpeed(settings) {
+  return Math.min(Math.max(Number(settings?.clipSpeed || 1), 0.5), 3);
+}
+
+// Speed ramps fast-forward the pauses that survive any jump cuts, while speech
+// keeps the clip speed.
+async function planSpeedRamps(inputPath, selection, settings, kept, words) {
+  const speed = resolveClipSpeed(settings);
+  if (!settings?.speedRamp) return kept.map((range) => ({ ...range, speed }));
+  const rampSpeed = Math.min(Math.max(Number(settings.speedRampSpeed || 2), 1.1), 4);
+  const minPause = Math.max(Number(settings.speedRampMinPauseSec ?? 0.8), 0.3);
+  const pauses = await findPauses(inputPath, selection, minPause, words);
+  return retimeRanges(kept, pauses, speed, Math.max(rampSpeed, speed));
+}
+
+// Transitions overlap neighbouring segments, so they stay well short of the
+// shortest one; a hard cut has no overlap.
+function resolveMontageOverlap(settings, segments) {
+  if (!OVERLAPPING_TRANSITIONS.has(settings?.montageTransition)) return 0;
+  const shortest =
+    Math.min(...segments.map((segment) => segment.duration)) / resolveClipSpeed(settings);
+  const requested = Math.min(Math.max(Number(settings.montageTransitionSec ?? 0.4), 0.1), 1.5);
+  return Number(Math.min(requested, shortest / 3).toFixed(3));
+}
+
+// Timeline edits for one clip; null when the clip plays straight through.
+// Montage segments become the pieces and take precedence over jump cuts and
+// speed ramps; the clip speed applies to every piece.
+async function planTimeline(job, selection, transcript, onProgress) {
+  const { inputPath, settings } = job;
+  const speed = resolveClipSpeed(settings);
+  if (selection.segments) {
+    return createTimeline(
+      selection.segments.map((segment) => ({
+        start: segment.start,
+        end: segment.start + segment.duration,
+        speed
+      })),
+      { overlapSec: resolveMontageOverlap(settings, selection.segments) }
+    );
+  }
+  if (!settings.jumpCut && !settings.speedRamp && speed === 1) return null;
+  let kept = [{ start: selection.start, end: selection.start + selection.duration }];
+  if (settings.jumpCut) {
+    onProgress?.(31, "Finding pauses for jump cuts...");
+    kept = await planJumpCuts(inputPath, selection, settings, transcript.words);
+  }
+  if (settings.speedRamp) onProgress?.(31, "Finding pauses for speed ramps...");
+  const pieces = await planSpeedRamps(inputPath, selection, settings, kept, transcript.words);
+  const timeline = createTimeline(pieces);
+  return timeline.pieces.length && !isIdentityTimeline(timeline, selection) ? timeline : null;
+}
+
+// Emphasized words on the output timeline for zoom punch-ins. Loudness is
+// measured per range so peaks are judged against the clip itself.
+async function planPunchIns(job, selection, ranges, transcript, timeline, onProgress) {
+  const { inputPath, settings } = job;
+  if (!settings.punchIns) return [];
+  const spans = transcript.words.length ? transcript.words : transcript.cues;
+  const clipEnd = selection.start + selection.duration;
+  const words = spans.flatMap((word) => {
+    if (!timeline) {
+      const inside = word.start >= selection.start && word.start < clipEnd;
+      return inside ? [{ ...word, time: word.start - selection.start }] : [];
+    }
+    const time = timeline.mapTime(word.start);
+    return time === null ? [] : [{ ...word, time }];
+  });
+  if (!words.length) return [];
+
+  onProgress?.(33, "Finding emphasized words for punch-ins...");
+  const envelopes = [];
+  for (const range of ranges) {
+    const envelope = await measureLoudnessEnvelope(inputPath, null, range).catch(() => null);
+    if (envelope) envelopes.push({ ...envelope, start: range.start });
+  }
+  return pickEmphasis(words, envelopes, {
+    keywords: parseKeywords(settings.punchInKeywords),
+    maxPerMinute: settings.punchInMaxPerMin
+  }).map((word) => word.time);
+}
+
+async function prepareReframe(job, selection, canvas, timeline, onProgress) {
+  const { inputPath, settings, media, captionsDir } = job;
+  if (!settings.autoReframe || (settings.framing || "crop") !== "crop") return null;
+  if (selection.segments) return null;
+  if (!media?.width || !media?.height) return null;
+  const scaledWidth = Math.round((media.width * canvas.height) / media.height / 2) * 2;
+  if (scaledWidth <= canvas.width + 2) return null;
+
+  onProgress?.(32, "Tracking motion for auto reframe...");
+  const analyzed = await analyzeReframeTrack(inputPath, selection, media).catch(() => null);
+  // Track times are clip-relative; timeline edits move them onto the output.
+  const track = timeline
+    ? (analyzed || []).flatMap((point) => {
+        const time = timeline.mapTime(selection.start + point.time);
+        return time === null ? [] : [{ ...point, time }];
+      })
+    : analyzed;
+  if (!track?.length) return null;
+  const { commandsPath, initialX } = writeReframeCommands(track, {
+    outputDir: captionsDir,
+    target: "crop@reframe",
+    scaledWidth,
+    cropWidth: canvas.width,
+    fps: media.fps
+  });
+  return { commandsPath, initialX, scaledWidth };
+}
+
+async function renderClip(job, selection, outputPath, onProgress) {
+  const { inputPath, settings, captionsDir } = job;
+  const clipFiles = [];
+  const ranges = selection.segments || [selection];
+  const subtitleFiles = [];
+
+  try {
+    // Filler removal needs word timings even when captions are not burned in.
+    // Punch-ins look for emphasis word by word.
+    const needsWords = Boolean(
+      (settings.jumpCut && settings.jumpCutFillers && !selection.segments) || settings.punchIns
+    );
+    const transcript = await reviewClipTranscript(
+      job,
+      await loadClipTranscript(job, ranges, needsWords, onProgress, clipFiles),
+      ranges,
+      onProgress
+    );
+
+    onProgress?.(30, "Preparing FFmpeg...");
+
+    const { media } = job;
+    const canvas = resolveOutputFormat(settings);
+    const rate = media?.fps > 0 ? Number(media.fps.toFixed(3)) : 30;
+    const timeline = await planTimeline(job, selection, transcript, onProgress);
+    const clipDuration = timeline ? timeline.duration : selection.duration;
+    const reframe = await prepareReframe(job, selection, canvas, timeline, onProgress);
+    if (reframe) clipFiles.push(reframe.commandsPath);
+    const graph = createFilterGraph();
+    const hasAudio = media ? media.hasAudio : true;
+    const streams = (input) => ({ video: `${input}:v`, audio: hasAudio ? `${input}:a` : null });
+    // Input 0 is the first montage segment or timeline piece; the rest are
+    // seeked as inputs of their own, so concat only decodes the one it reads.
+    const spans =
+      timeline && !selection.segments
+        ? timeline.pieces.map((piece) => ({
+            start: Number(piece.start.toFixed(3)),
+            duration: Number((piece.end - piece.start).toFixed(3))
+          }))
+        : ranges;
+    let source = streams("0");
+    if (timeline) {
+      const inputs = [
+        source,
+        ...spans.slice(1).map((span) =>
+          streams(
+            graph.addInput(["-ss", String(span.start), "-t", String(span.duration), "-i", inputPath])
+          )
+        )
+      ];
+      source = selection.segments
+        ? applyMontage(graph, timeline, inputs, settings.montageTransition, rate)
+        : applyTimeline(graph, timeline, inputs);
+    }
+    const framed = applyFraming(graph, source.video, settings, canvas, media, reframe);
+    const punchIns = await planPunchIns(job, selection, ranges, transcript, timeline, onProgress);
+    const zoomed = applyPunchIns(graph, framed.label, punchIns, settings, canvas, rate);
+    const coverCount = resolveCoverCount(settings);
+    const branched = applyCoverBranch(
+      graph,
+      applyWatermark(graph, zoomed, settings, canvas),
+      coverCount,
+      clipDuration
+    );
+    let videoLabel = branched.video;
+    const placement = framed.placement;
+
+    const offsetSec = Number(settings?.captionOffsetMs || 0) / 1000;
+    const clock = createCaptionClock({ selection, offsetSec, settings, timeline });
+    // Subtitle files and the soft track belong to the finished MP4, so an
+    // intro bumper pushes them back.
+    const introSec = job.bumpers?.intro?.duration || 0;
+    const outputClock = introSec
+      ? createCaptionClock({ selection, offsetSec: offsetSec + introSec, settings, timeline })
+      : clock;
+    const subtitles = resolveSubtitleOptions(settings);
+    const buildAss = (captionClock) => {
+      const built =
+        settings.wordLevelCaptions && transcript.words.length
+          ? buildAssFromWordList(transcript.words, captionsDir, settings, captionClock, placement)
+          : buildAssFromCues(transcript.cues, captionsDir, settings, captionClock, placement);
+      clipFiles.push(built);
+      return built;
+    };
+
+    if (subtitles.ass) {
+      subtitleFiles.push(exportAss(buildAss(outputClock), outputPath));
+    }
+    if (subtitles.burn) {
+      if (settings.wordLevelCaptions && !transcript.words.length) {
+        onProgress?.(
+          35,
+          job.importedTranscript
+            ? "Imported subtitles have no word timings. Using subtitle lines."
+            : "Word timestamps not supported by this binary. Using SRT lines."
+        );
+      }
+      const assPath = buildAss(clock);
+      videoLabel = graph.chain(videoLabel, `subtitles='${escapeFilterPath(assPath)}'`, graph.next());
+    }
+    // SRT, WebVTT and mov_text carry plain cue lines, even when the burned
+    // captions are word by word.
+    const subtitleLines =
+      subtitles.srt || subtitles.vtt || subtitles.soft
+        ? buildCaptionLines(transcript.cues, settings, outputClock)
+        : [];
+    subtitleFiles.push(...writeSidecars(subtitleLines, outputPath, subtitles));
+    let softInput = null;
+    if (subtitles.soft && subtitleLines.length) {
+      let softPath = sidecarPath(outputPath, "srt");
+      if (!subtitles.srt) {
+        softPath = path.join(captionsDir, `soft-${Date.now()}.srt`);
+        fs.writeFileSync(softPath, buildSrt(subtitleLines), "utf8");
+        clipFiles.push(softPath);
+      }
+      softInput = graph.addInput(["-i", softPath]);
+    }
+
+    const headline = () =>
+      String(settings.hookText || "").trim() || firstSentence(transcript, ranges[0]);
+    const hookText = settings.hookEnabled ? headline() : "";
+    if (settings.hookEnabled && !hookText) {
+      onProgress?.(36, "No speech found for the hook headline. Type the hook text to add one.");
+    }
+    if (hookText) {
+      const hookPath = buildHookAss(hookText, captionsDir, settings, placement);
+      clipFiles.push(hookPath);
+      videoLabel = graph.chain(videoLabel, `subtitles='${escapeFilterPath(hookPath)}'`, graph.next());
+    }
+
+    let coverLabel = branched.cover;
+    const coverText = coverLabel && settings.coverHook ? hookText || headline() : "";
+    if (coverText) {
+      const coverHookPath = buildHookAss(coverText, captionsDir, settings, placement, {
+        still: true,
+        duration: clipDuration
       });
-    })
-    .join("\n");
+      clipFiles.push(coverHookPath);
+      coverLabel = graph.chain(
+        coverLabel,
+        `subtitles='${escapeFilterPath(coverHookPath)}'`,
+        graph.next()
+      );
+    }
 
-  const assPath = path.join(outputDir, `captions-${Date.now()}.ass`);
-  fs.writeFileSync(assPath, assHeader + events, "utf8");
-  return assPath;
+    const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
+    const audioFilters = "aresample=async=1";
+    const loudnessTarget = hasAudio ? resolveLoudnessTarget(settings) : null;
+    let measured = null;
+    if (loudnessTarget) {
+      onProgress?.(38, "Measuring loudness...");
+      measured = await measureLoudness(
+        ffmpegPath,
+        inputPath,
+        ranges,
+        audioFilters,
+        loudnessTarget
+      ).catch(() => null);
+    }
+    // Music is mixed after loudnorm, so the speech sits at the target and the
+    // limiter keeps the bed from pushing the mix over the true-peak ceiling.
+    const speechLabel = source.audio
+      ? graph.chain(
+          source.audio,
+          measured
+            ? `${audioFilters},${buildLoudnormFilter(loudnessTarget, measured)}`
+            : audioFilters,
+          graph.next("a")
+        )
+      : null;
+    const speechIntervals = settings.musicEnabled ? collectSpeechIntervals(transcript, clock) : [];
+    let audioLabel = applyMusicBed(graph, speechLabel, settings, clipDuration, speechIntervals);
+    if (audioLabel && audioLabel !== speechLabel && loudnessTarget) {
+      const limit = Math.pow(10, loudnessTarget.truePeak / 20).toFixed(3);
+      audioLabel = graph.chain(audioLabel, `alimiter=limit=${limit}:level=0`, graph.next("a"));
+    }
+
+    const assembled = applyBumpers(
+      graph,
+      { video: videoLabel, audio: audioLabel },
+      job.bumpers,
+      canvas,
+      rate,
+      clipDuration
+    );
+    videoLabel = assembled.video;
+    audioLabel = assembled.audio;
+
+    const { encoding } = job;
+    const maxFps = Number(encoding.maxFps) || 0;
+    if (maxFps && rate > maxFps + 0.01) {
+      videoLabel = graph.chain(videoLabel, `fps=${maxFps}`, graph.next());
+    }
+    const encodedSize = resolveEncodedSize(encoding, canvas);
+    if (encodedSize) {
+      videoLabel = graph.chain(
+        videoLabel,
+        `scale=${encodedSize.width}:${encodedSize.height}:flags=lanczos`,
+        graph.next()
+      );
+    }
+
+    const ffmpegArgs = [
+      "-y",
+      "-ss",
+      String(spans[0].start),
+      "-t",
+      String(spans[0].duration),
+      "-i",
+      inputPath,
+      ...graph.inputs.flat(),
+      "-filter_complex",
+      graph.chains.join(";"),
+      "-map",
+      `[${videoLabel}]`,
+      ...(audioLabel ? ["-map", `[${audioLabel}]`] : []),
+      ...(softInput ? buildSoftSubtitleArgs(softInput, settings.whisperLanguage) : []),
+      "-t",
+      String(assembled.duration),
+      "-reset_timestamps",
+      "1",
+      ...buildEncodingArgs(encoding),
+      outputPath,
+      ...(coverLabel ? buildCoverOutputArgs(coverLabel, coverCount, outputPath) : [])
+    ];
+
+    let stderr = "";
+    try {
+      stderr = await runFfmpegWithProgress(ffmpegPath, ffmpegArgs, onProgress, assembled.duration);
+    } catch (error) {
+      subtitleFiles.forEach(safeDelete);
+      throw new Error("FFmpeg failed. Install FFmpeg or bundle ffmpeg-static.");
+    }
+    return {
+      hook: hookText || null,
+      subtitles: subtitleFiles,
+      covers: coverLabel ? listCovers(outputPath, coverCount) : [],
+      loudness: measured
+        ? summarizeLoudness(loudnessTarget, measured, parseLoudnormStats(stderr))
+        : null
+    };
+  } finally {
+    clipFiles.forEach(safeDelete);
+  }
+}
+
+function normalizeManualRange(range) {
+  const start = Number(range?.start);
+  const end = Number(range?.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end - start < 1) return null;
+  return {
+    start: Number(Math.max(start, 0).toFixed(2)),
+    duration: Number((end - Math.max(start, 0)).toFixed(2)),
+    score: null,
+    mode: "manual"
+  };
+}
+
+// Montage segments play in source order. Overlapping picks are trimmed so no
+// moment repeats; with fewer than two segments left it is a plain clip.
+function combineMontage(moments, mode) {
+  const segments = [];
+  [...moments]
+    .sort((a, b) => a.start - b.start)
+    .forEach((moment) => {
+      const last = segments[segments.length - 1];
+      const start = last ? Math.max(moment.start, last.start + last.duration) : moment.start;
+      const duration = moment.start + moment.duration - start;
+      if (duration >= 1) {
+        segments.push({ start: Number(start.toFixed(2)), duration: Number(duration.toFixed(2)) });
+      }
+    });
+  if (segments.length < 2) return moments.slice(0, 1);
+  const scores = moments.map((moment) => moment.score).filter(Number.isFinite);
+  return [
+    {
+      start: segments[0].start,
+      duration: Number(segments.reduce((sum, segment) => sum + segment.duration, 0).toFixed(2)),
+      score: scores.length
+        ? Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(3))
+        : null,
+      mode: "montage",
+      source: mode,
+      segments
+    }
+  ];
+}
+
+// Montage moments are picked like clips, just shorter and several at once.
+function montageSettings(settings) {
+  return {
+    ...settings,
+    clipCount: Math.min(Math.max(Math.round(Number(settings.montageCount || 4)), 2), 5),
+    targetDuration: Math.min(Math.max(Number(settings.montageSegmentSec || 10), 2), 30)
+  };
+}
+
+// Candidate windows for the renderer's timeline; nothing is rendered and any
+// full-source transcript is dropped again.
+async function analyzeCandidates(payload, onProgress) {
+  if (!payload?.inputPath) throw new Error("No input video provided");
+  const settings = payload.settings || {};
+  const baseDir = path.join(path.dirname(payload.inputPath), "ai-short-maker");
+  const captionsDir = path.join(baseDir, "captions");
+  const audioDir = path.join(baseDir, "audio");
+  [baseDir, captionsDir, audioDir].forEach((dir) => {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  });
+
+  onProgress?.(5, "Analyzing audio + reactions...");
+  const imported = needsTranscript(settings, { selecting: true })
+    ? await loadImportedSubtitles(payload.inputPath, settings, captionsDir, onProgress)
+    : null;
+  const { moments, transcript } = await selectBestMoments(
+    payload.inputPath,
+    { ...settings, clipCount: payload.count || 8, minClipGapSec: 0 },
+    onProgress,
+    { captionsDir, audioDir },
+    imported
+  );
+  discardTranscript(transcript);
+  onProgress?.(100, `Found ${moments.length} candidate moments`);
+  return { candidates: moments };
 }
 
-async function processVideo(payload, onProgress) {
+// Clip-level progress keeps the single-clip 15-100 scale; it is folded into the
+// overall bar and also reported per clip for the renderer.
+function createClipProgress(onProgress, index, total) {
+  return (progress, message) => {
+    const clipProgress = Math.min(Math.max(progress, 15), 100);
+    const overall = 15 + Math.round(((index + (clipProgress - 15) / 85) / total) * 85);
+    onProgress?.(
+      Math.min(overall, 99),
+      total > 1 ? `Clip ${index + 1}/${total}: ${message}` : message,
+      { clip: { index: index + 1, total, progress: clipProgress } }
+    );
+  };
+}
+
+async function prepareBumpers(settings) {
+  const probe = async (filePath, label) => {
+    if (!filePath) return null;
+    if (!fs.existsSync(filePath)) throw new Error(`${label} clip not found: ${filePath}`);
+    const info = await probeMedia(filePath).catch(() => null);
+    if (!info?.width || !info.duration) throw new Error(`${label} clip is not a readable video.`);
+    return { path: filePath, duration: info.duration, hasAudio: info.hasAudio };
+  };
+  return {
+    intro: await probe(settings.introPath, "Intro"),
+    outro: await probe(settings.outroPath, "Outro")
+  };
+}
+
+function listEncodingProfiles() {
+  return describeEncodingProfiles(resolvePackedBinary(ffmpegStatic) || "ffmpeg");
+}
+
+// `reviewTranscript` is optional: given a clip's lines it resolves with the
+// edited lines, or null to cancel the render.
+async function processVideo(payload, onProgress, { reviewTranscript } = {}) {
   if (!payload?.inputPath) throw new Error("No input video provided");
 
   const settings = payload.settings || {};
+  const encoding = await validateEncodingProfile(
+    resolvePackedBinary(ffmpegStatic) || "ffmpeg",
+    settings
+  );
   onProgress?.(5, "Analyzing audio + reactions...");
 
   const inputPath = payload.inputPath;
@@ -461,124 +1726,82 @@ async function processVideo(payload, onProgress) {
   [baseDir, outputDir, captionsDir, audioDir].forEach((dir) => {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   });
-  const outputPath = path.join(outputDir, `short-${Date.now()}.mp4`);
-  const selection = selectBestMoment(inputPath, settings);
-  let captionsPath = null;
-  let wtsPath = null;
-  let jsonPath = null;
-  let wavPath = null;
-
-  let assPath = null;
-
-  if (settings.burnCaptions) {
-    onProgress?.(15, "Running Whisper transcription...");
-    try {
-      const result = await transcribeWithWhisper(
+  const stamp = Date.now();
+  const manualSegments = settings.montage ? (payload.segments || []).map(normalizeManualRange) : [];
+  const manualRange = manualSegments.length ? null : normalizeManualRange(payload.range);
+  if (manualSegments.includes(null) || (payload.range && !manualSegments.length && !manualRange)) {
+    throw new Error("Manual in/out ranges must be at least 1 second long.");
+  }
+  const isManual = Boolean(manualRange || manualSegments.length);
+  const importedTranscript = needsTranscript(settings, { selecting: !isManual, rendering: true })
+    ? await loadImportedSubtitles(inputPath, settings, captionsDir, onProgress)
+    : null;
+  const { moments, transcript: sourceTranscript } = isManual
+    ? { moments: manualRange ? [manualRange] : manualSegments, transcript: null }
+    : await selectBestMoments(
         inputPath,
-        captionsDir,
-        audioDir,
-        settings,
+        settings.montage ? montageSettings(settings) : settings,
         onProgress,
-        selection
+        { captionsDir, audioDir },
+        importedTranscript
       );
-      captionsPath = result?.srtPath || null;
-      wtsPath = result?.wtsPath || null;
-      jsonPath = result?.jsonPath || null;
-      wavPath = result?.wavPath || null;
-    } catch (error) {
-      const message = error?.message || "Whisper failed";
-      throw new Error(`Whisper failed: ${message}`);
+  if (settings.snapBoundaries && !isManual) {
+    onProgress?.(14, "Snapping cuts to scene changes + pauses...");
+    for (let index = 0; index < moments.length; index += 1) {
+      moments[index] = await snapSelectionBoundaries(inputPath, moments[index], settings);
     }
   }
-
-  onProgress?.(30, "Preparing FFmpeg...");
-
-  const filterChain = [
-    "scale=1080:1920:force_original_aspect_ratio=increase",
-    "crop=1080:1920"
-  ];
-
-  if (settings.burnCaptions) {
-    if (!captionsPath) {
-      throw new Error("Whisper captions not found. Cannot burn subtitles.");
-    }
-    const manualOffsetSec = Number(settings?.captionOffsetMs || 0) / 1000;
-    const autoOffsetSec = settings?.autoCaptionOffset ? await detectLeadingSilenceSec(wavPath) : 0;
-    const offsetSec = manualOffsetSec + autoOffsetSec;
-    const captionSelection = { start: 0, duration: selection.duration };
-    if (settings.wordLevelCaptions) {
-      let built = false;
-      if (wtsPath) {
-        try {
-          assPath = buildAssFromWts(wtsPath, captionsDir, settings, captionSelection, offsetSec);
-          built = true;
-        } catch (error) {
-          onProgress?.(35, "Word timestamps missing in .wts, trying JSON...");
-        }
-      }
-      if (!built && jsonPath) {
-        const words = parseWhisperJson(jsonPath);
-        if (words.length) {
-          assPath = buildAssFromWordList(words, captionsDir, settings, captionSelection, offsetSec);
-          built = true;
-        }
-      }
-      if (!built) {
-        onProgress?.(35, "Word timestamps not supported by this binary. Using SRT lines.");
-        assPath = buildAssFromSrt(captionsPath, captionsDir, settings, captionSelection, offsetSec);
-      }
-    } else {
-      assPath = buildAssFromSrt(captionsPath, captionsDir, settings, captionSelection, offsetSec);
-    }
-    const escapedPath = captionsPath
-      .replace(/\\/g, "/")
-      .replace(/:/g, "\\:")
-      .replace(/'/g, "\\'");
-    const escapedAss = assPath
-      .replace(/\\/g, "/")
-      .replace(/:/g, "\\:")
-      .replace(/'/g, "\\'");
-    filterChain.push(`subtitles='${escapedAss}'`);
-  }
-
-  const ffmpegArgs = [
-    "-y",
-    "-ss",
-    String(selection.start),
-    "-i",
+  if (settings.montage && !manualRange) {
+    moments.splice(0, moments.length, ...combineMontage(moments, isManual ? "manual" : "auto"));
+  }
+  const media = await probeMedia(inputPath).catch(() => null);
+  const bumpers = await prepareBumpers(settings);
+  const job = {
     inputPath,
-    "-vf",
-    filterChain.join(","),
-    "-t",
-    String(selection.duration),
-    "-reset_timestamps",
-    "1",
-    "-c:v",
-    "libx264",
-    "-preset",
-    "veryfast",
-    "-c:a",
-    "aac",
-    "-af",
-    "aresample=async=1",
-    outputPath
-  ];
+    settings,
+    captionsDir,
+    audioDir,
+    sourceTranscript,
+    importedTranscript,
+    media,
+    encoding,
+    bumpers
+  };
 
+  const outputs = [];
   try {
-    const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
-    await runFfmpegWithProgress(ffmpegPath, ffmpegArgs, onProgress);
-  } catch (error) {
-    throw new Error("FFmpeg failed. Install FFmpeg or bundle ffmpeg-static.");
+    for (let index = 0; index < moments.length; index += 1) {
+      const selection = moments[index];
+      const name = moments.length > 1 ? `short-${stamp}-${index + 1}.mp4` : `short-${stamp}.mp4`;
+      const outputPath = path.join(outputDir, name);
+      const clip = { index: index + 1, total: moments.length };
+      const { hook, covers, subtitles, loudness } = await renderClip(
+        {
+          ...job,
+          reviewTranscript:
+            reviewTranscript && ((request) => reviewTranscript({ ...request, clip, selection }))
+        },
+        selection,
+        outputPath,
+        createClipProgress(onProgress, index, moments.length)
+      );
+      outputs.push({ rank: index + 1, outputPath, selection, hook, covers, subtitles, loudness });
+    }
   } finally {
-    if (captionsPath) safeDelete(captionsPath);
-    if (assPath) safeDelete(assPath);
-    if (wtsPath) safeDelete(wtsPath);
-    if (jsonPath) safeDelete(jsonPath);
-    if (wavPath) safeDelete(wavPath);
+    discardTranscript(sourceTranscript);
   }
 
-  onProgress?.(100, "Short created");
-  return { outputPath, message: "Short created. Check output folder." };
+  onProgress?.(100, outputs.length > 1 ? `${outputs.length} shorts created` : "Short created");
+  return {
+    outputPath: outputs[0].outputPath,
+    selection: outputs[0].selection,
+    loudness: outputs[0].loudness,
+    outputs,
+    message:
+      outputs.length > 1
+        ? `${outputs.length} shorts created. Check output folder.`
+        : "Short created. Check output folder."
+  };
 }
 
 function safeDelete(filePath) {
@@ -591,4 +1814,4 @@ function safeDelete(filePath) {
   }
 }
 
-module.exports = { processVideo };
+module.exports = { processVideo, analyzeCandidates, listEncodingProfiles };
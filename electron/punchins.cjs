@@ -0,0 +1,78 @@
+const SILENT_LUFS = -70;
+const ZOOM_IN_SEC = 0.12;
+const HOLD_SEC = 0.45;
+const ZOOM_OUT_SEC = 0.3;
+// Keeps the zoom expression a sane length on long clips.
+const MAX_PUNCH_INS = 40;
+
+function peakLoudness(word, envelopes) {
+  const envelope = envelopes.find(
+    (item) => word.start >= item.start && word.start < item.start + item.duration
+  );
+  if (!envelope) return SILENT_LUFS;
+  const from = Math.floor((word.start - envelope.start) / envelope.frameSec);
+  const to = Math.max(Math.ceil((word.end - envelope.start) / envelope.frameSec), from + 1);
+  return Math.max(...envelope.loudness.slice(from, to), SILENT_LUFS);
+}
+
+// Loud means clearly above the clip's own speech level: the 90th percentile
+// of audible frames, and at least 6 LU over the median.
+function loudThreshold(envelopes) {
+  const audible = envelopes
+    .flatMap((envelope) => envelope.loudness)
+    .filter((value) => value > SILENT_LUFS)
+    .sort((a, b) => a - b);
+  if (!audible.length) return Infinity;
+  const at = (ratio) => audible[Math.round((audible.length - 1) * ratio)];
+  return Math.max(at(0.9), at(0.5) + 6);
+}
+
+// Words carry their output time in `time`. Keywords beat exclamations, which
+// beat loudness peaks; the strongest are kept while honouring the minimum gap.
+function pickEmphasis(words, envelopes, { keywords = [], maxPerMinute = 6 } = {}) {
+  const threshold = loudThreshold(envelopes);
+  const minGap = 60 / Math.min(Math.max(Number(maxPerMinute) || 6, 1), 30);
+  const scored = words.flatMap((word) => {
+    const text = word.text.toLowerCase();
+    let score = 0;
+    if (keywords.some((keyword) => text.includes(keyword))) score += 3;
+    if (/!["')\]]*$/.test(text)) score += 2;
+    const peak = peakLoudness(word, envelopes);
+    if (peak >= threshold) score += 1 + Math.min((peak - threshold) / 10, 1);
+    return score > 0 ? [{ ...word, score }] : [];
+  });
+
+  const picked = [];
+  for (const word of scored.sort((a, b) => b.score - a.score)) {
+    if (picked.length >= MAX_PUNCH_INS) break;
+    if (picked.every((item) => Math.abs(item.time - word.time) >= minGap)) picked.push(word);
+  }
+  return picked.sort((a, b) => a.time - b.time);
+}
+
+// Quick zoom towards the centre on each emphasized word: a trapezoid envelope
+// per punch-in, eased with a cosine so the zoom starts and lands softly.
+function buildZoomExpression(times, intensity, rate) {
+  const t = `(on/${rate})`;
+  const shapes = times.map((time) => {
+    // Fully zoomed in as the word starts.
+    const start = Math.max(time - ZOOM_IN_SEC, 0).toFixed(3);
+    const fall = (time + HOLD_SEC + ZOOM_OUT_SEC).toFixed(3);
+    return `clip((${t}-${start})/${ZOOM_IN_SEC},0,1)*clip((${fall}-${t})/${ZOOM_OUT_SEC},0,1)`;
+  });
+  const envelope = shapes.reduce((acc, shape) => (acc ? `max(${acc},${shape})` : shape), "");
+  return `1+${intensity.toFixed(3)}*(1-cos(PI*${envelope}))/2`;
+}
+
+function applyPunchIns(graph, source, times, settings, canvas, rate) {
+  if (!times.length) return source;
+  const intensity = Math.min(Math.max(Number(settings?.punchInIntensity ?? 15), 2), 50) / 100;
+  const zoom = buildZoomExpression(times, intensity, rate);
+  return graph.chain(
+    source,
+    `zoompan=z='${zoom}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':d=1:s=${canvas.width}x${canvas.height}:fps=${rate},setsar=1`,
+    graph.next()
+  );
+}
+
+module.exports = { pickEmphasis, applyPunchIns };
@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const ffmpegStatic = require("ffmpeg-static");
+
+const ANALYSIS_FPS = 5;
+const ANALYSIS_WIDTH = 96;
+const SHOT_CHANGE_DIFF = 40;
+const MIN_MOTION = 1.5;
+
+function resolvePackedBinary(binPath) {
+  if (!binPath) return null;
+  const unpacked = binPath.replace("app.asar", "app.asar.unpacked");
+  if (fs.existsSync(unpacked)) return unpacked;
+  return binPath;
+}
+
+function readGrayFrames(inputPath, selection, width, height) {
+  const ffmpegPath = resolvePackedBinary(ffmpegStatic) || "ffmpeg";
+  const args = [
+    "-hide_banner",
+    "-nostats",
+    "-ss",
+    String(selection.start),
+    "-t",
+    String(selection.duration),
+    "-i",
+    inputPath,
+    "-an",
+    "-vf",
+    `fps=${ANALYSIS_FPS},scale=${width}:${height}:flags=area,format=gray`,
+    "-f",
+    "rawvideo",
+    "pipe:1"
+  ];
+  const frameSize = width * height;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args, { stdio: "pipe" });
+    const frames = [];
+    let pending = Buffer.alloc(0);
+    child.stdout.on("data", (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= frameSize) {
+        frames.push(Uint8Array.from(pending.subarray(0, frameSize)));
+        pending = pending.subarray(frameSize);
+      }
+    });
+    child.on("error", (err) => reject(err));
+    child.on("close", (code) => {
+      if (code === 0 || frames.length) resolve(frames);
+      else reject(new Error(`Motion analysis failed with exit code ${code}`));
+    });
+  });
+}
+
+// Column-wise frame differencing: the horizontal centroid of changed pixels is
+// where the action is. A frame-wide jump in difference marks a shot change.
+function measureMotionCenters(frames, width, height) {
+  const samples = [];
+  for (let index = 0; index < frames.length; index += 1) {
+    const frame = frames[index];
+    const previous = frames[index - 1];
+    if (!previous) {
+      samples.push({ center: null, shotChange: true });
+      continue;
+    }
+    const columns = new Float64Array(width);
+    let total = 0;
+    for (let y = 0; y < height; y += 1) {
+      const row = y * width;
+      for (let x = 0; x < width; x += 1) {
+        const diff = Math.abs(frame[row + x] - previous[row + x]);
+        columns[x] += diff;
+        total += diff;
+      }
+    }
+    const meanDiff = total / (width * height);
+    if (meanDiff > SHOT_CHANGE_DIFF) {
+      samples.push({ center: null, shotChange: true });
+      continue;
+    }
+    if (meanDiff < MIN_MOTION) {
+      samples.push({ center: null, shotChange: false });
+      continue;
+    }
+    let weighted = 0;
+    for (let x = 0; x < width; x += 1) weighted += columns[x] * (x + 0.5);
+    samples.push({ center: weighted / total / width, shotChange: false });
+  }
+  return samples;
+}
+
+// Per shot: hold the last known center through still frames, then run a
+// forward + backward exponential smoother so the crop eases instead of jittering.
+function smoothTrajectory(samples, alpha = 0.25) {
+  const shots = [];
+  let current = [];
+  samples.forEach((sample, index) => {
+    if (sample.shotChange && current.length) {
+      shots.push(current);
+      current = [];
+    }
+    current.push({ index, center: sample.center });
+  });
+  if (current.length) shots.push(current);
+
+  const centers = new Array(samples.length).fill(0.5);
+  for (const shot of shots) {
+    const firstKnown = shot.find((point) => point.center !== null);
+    let held = firstKnown ? firstKnown.center : 0.5;
+    const filled = shot.map((point) => {
+      if (point.center !== null) held = point.center;
+      return held;
+    });
+    const forward = [];
+    filled.forEach((value, i) => {
+      forward.push(i === 0 ? value : forward[i - 1] + alpha * (value - forward[i - 1]));
+    });
+    const backward = new Array(forward.length);
+    for (let i = forward.length - 1; i >= 0; i -= 1) {
+      backward[i] =
+        i === forward.length - 1 ? forward[i] : backward[i + 1] + alpha * (forward[i] - backward[i + 1]);
+    }
+    shot.forEach((point, i) => {
+      centers[point.index] = backward[i];
+    });
+  }
+  return centers.map((center, index) => ({ time: index / ANALYSIS_FPS, center }));
+}
+
+async function analyzeReframeTrack(inputPath, selection, media) {
+  if (!media?.width || !media?.height) return null;
+  const width = ANALYSIS_WIDTH;
+  const height = Math.max(Math.round((width * media.height) / media.width / 2) * 2, 2);
+  const frames = await readGrayFrames(inputPath, selection, width, height);
+  if (frames.length < 2) return null;
+  return smoothTrajectory(measureMotionCenters(frames, width, height));
+}
+
+// Writes a sendcmd script that moves `crop@<target>` along the track. Points are
+// interpolated to the output rate so the pan is smooth between analysis frames.
+function writeReframeCommands(track, options) {
+  const { outputDir, target, scaledWidth, cropWidth, fps } = options;
+  const maxX = Math.max(scaledWidth - cropWidth, 0);
+  const step = 1 / Math.min(Math.max(fps || 30, 1), 30);
+  const last = track[track.length - 1];
+  const points = [];
+  let cursor = 0;
+  for (let time = 0; time <= last.time + step / 2; time += step) {
+    while (cursor < track.length - 2 && track[cursor + 1].time <= time) cursor += 1;
+    const a = track[cursor];
+    const b = track[Math.min(cursor + 1, track.length - 1)];
+    const ratio = b.time > a.time ? Math.min(Math.max((time - a.time) / (b.time - a.time), 0), 1) : 0;
+    const center = a.center + (b.center - a.center) * ratio;
+    const x = Math.round(Math.min(Math.max(center * scaledWidth - cropWidth / 2, 0), maxX));
+    points.push({ time, x });
+  }
+  const lines = points.map((point) => `${point.time.toFixed(3)} ${target} x ${point.x};`);
+  const commandsPath = path.join(outputDir, `reframe-${Date.now()}.cmd`);
+  fs.writeFileSync(commandsPath, lines.join("\n"), "utf8");
+  return { commandsPath, initialX: points.length ? points[0].x : Math.round(maxX / 2) };
+}
+
+module.exports = { analyzeReframeTrack, writeReframeCommands };
@@ -0,0 +1,96 @@
+const fs = require("fs");
+
+function resolveSubtitleOptions(settings) {
+  if (!settings?.burnCaptions) return { burn: false, soft: false, srt: false, vtt: false, ass: false };
+  const output = settings.captionOutput || "burn";
+  return {
+    burn: output !== "soft",
+    soft: output !== "burn",
+    srt: Boolean(settings.subtitleSrt),
+    vtt: Boolean(settings.subtitleVtt),
+    ass: Boolean(settings.subtitleAss)
+  };
+}
+
+function formatTimestamp(totalSeconds, separator) {
+  const totalMs = Math.max(Math.round(totalSeconds * 1000), 0);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${String(
+    seconds
+  ).padStart(2, "0")}${separator}${String(ms).padStart(3, "0")}`;
+}
+
+function buildSrt(lines) {
+  return lines
+    .map(
+      (line, index) =>
+        `${index + 1}\n${formatTimestamp(line.start, ",")} --> ${formatTimestamp(
+          line.end,
+          ","
+        )}\n${line.text}\n`
+    )
+    .join("\n");
+}
+
+function buildVtt(lines) {
+  const cues = lines.map(
+    (line) =>
+      `${formatTimestamp(line.start, ".")} --> ${formatTimestamp(line.end, ".")}\n${line.text}\n`
+  );
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+function sidecarPath(outputPath, extension) {
+  return outputPath.replace(/\.[^.]+$/, `.${extension}`);
+}
+
+// Plain-text sidecars next to the MP4, named after it. `lines` are already on
+// the output timeline (after any intro), so players line them up directly.
+function writeSidecars(lines, outputPath, options) {
+  const written = [];
+  if (options.srt) {
+    const srtPath = sidecarPath(outputPath, "srt");
+    fs.writeFileSync(srtPath, buildSrt(lines), "utf8");
+    written.push(srtPath);
+  }
+  if (options.vtt) {
+    const vttPath = sidecarPath(outputPath, "vtt");
+    fs.writeFileSync(vttPath, buildVtt(lines), "utf8");
+    written.push(vttPath);
+  }
+  return written;
+}
+
+function exportAss(assPath, outputPath) {
+  const target = sidecarPath(outputPath, "ass");
+  fs.copyFileSync(assPath, target);
+  return target;
+}
+
+// mov_text is the subtitle codec MP4 players understand; the track is marked
+// default so it shows up without digging through menus.
+function buildSoftSubtitleArgs(input, language) {
+  const code = language && language !== "auto" ? language : "und";
+  return [
+    "-map",
+    `${input}:s`,
+    "-c:s",
+    "mov_text",
+    "-metadata:s:s:0",
+    `language=${code}`,
+    "-disposition:s:0",
+    "default"
+  ];
+}
+
+module.exports = {
+  resolveSubtitleOptions,
+  buildSrt,
+  writeSidecars,
+  exportAss,
+  buildSoftSubtitleArgs,
+  sidecarPath
+};
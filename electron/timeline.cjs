@@ -0,0 +1,225 @@
+// Timeline edits happen before framing: the source is cut into pieces (kept
+// ranges on the source timeline, each with its own speed) and joined again.
+// The same piece list maps source times onto the output, so captions and
+// other timed overlays follow the edit. Montage timelines let neighbouring
+// pieces overlap on the output by the transition length.
+
+const MIN_PIECE_SEC = 0.15;
+const AUDIO_EDGE_FADE_SEC = 0.01;
+
+function createTimeline(ranges, { overlapSec = 0 } = {}) {
+  const pieces = [];
+  let cursor = 0;
+  ranges
+    .filter((range) => range.end - range.start >= MIN_PIECE_SEC)
+    .forEach((range) => {
+      const speed = Math.min(Math.max(Number(range.speed) || 1, 0.25), 4);
+      const length = (range.end - range.start) / speed;
+      const outStart = pieces.length ? cursor - overlapSec : cursor;
+      pieces.push({
+        start: range.start,
+        end: range.end,
+        speed,
+        outStart,
+        outEnd: outStart + length
+      });
+      cursor = outStart + length;
+    });
+
+  const mapTime = (time) => {
+    const piece = pieces.find((item) => time >= item.start && time <= item.end);
+    return piece ? piece.outStart + (time - piece.start) / piece.speed : null;
+  };
+
+  // Clamps a source range to the kept pieces; null when it was cut entirely.
+  const mapRange = (start, end) => {
+    const first = pieces.find((item) => item.end > start && item.start < end);
+    if (!first) return null;
+    const last = [...pieces].reverse().find((item) => item.end > start && item.start < end);
+    const outStart = mapTime(Math.max(start, first.start));
+    const outEnd = mapTime(Math.min(end, last.end));
+    return outEnd > outStart ? [outStart, outEnd] : null;
+  };
+
+  return { pieces, duration: cursor, overlap: overlapSec, mapTime, mapRange };
+}
+
+// A single piece at 1x over the whole selection needs no filters at all.
+function isIdentityTimeline(timeline, selection) {
+  const [piece] = timeline.pieces;
+  return (
+    timeline.pieces.length === 1 &&
+    piece.speed === 1 &&
+    Math.abs(piece.start - selection.start) < 0.01 &&
+    Math.abs(piece.end - (selection.start + selection.duration)) < 0.01
+  );
+}
+
+// atempo only accepts 0.5..2 on older FFmpeg builds, so larger factors are chained.
+function atempoChain(speed) {
+  const filters = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    filters.push("atempo=2");
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push("atempo=0.5");
+    remaining /= 0.5;
+  }
+  if (Math.abs(remaining - 1) > 0.001) filters.push(`atempo=${remaining.toFixed(4)}`);
+  return filters;
+}
+
+// Each piece arrives as its own seeked input (`inputs[i]` starts at the
+// piece's source start), so it only needs retiming before the concat.
+function applyTimeline(graph, timeline, inputs) {
+  const count = timeline.pieces.length;
+  const withAudio = Boolean(inputs[0].audio);
+  const labels = [];
+  timeline.pieces.forEach((piece, index) => {
+    const sources = inputs[index];
+    const setpts = piece.speed === 1 ? "PTS-STARTPTS" : `(PTS-STARTPTS)/${piece.speed}`;
+    labels.push(graph.chain(sources.video, `setpts=${setpts}`, graph.next()));
+    if (withAudio) {
+      const length = piece.outEnd - piece.outStart;
+      const filters = ["asetpts=PTS-STARTPTS", ...atempoChain(piece.speed)];
+      // Tiny fades at the cut points avoid clicks between joined pieces.
+      if (count > 1 && length > AUDIO_EDGE_FADE_SEC * 4) {
+        filters.push(
+          `afade=t=in:d=${AUDIO_EDGE_FADE_SEC}`,
+          `afade=t=out:st=${(length - AUDIO_EDGE_FADE_SEC).toFixed(3)}:d=${AUDIO_EDGE_FADE_SEC}`
+        );
+      }
+      labels.push(graph.chain(sources.audio, filters.join(","), graph.next("a")));
+    }
+  });
+
+  if (count === 1) {
+    return { video: labels[0], audio: withAudio ? labels[1] : null };
+  }
+  return concatPieces(graph, labels, count, withAudio);
+}
+
+const MONTAGE_TRANSITIONS = { crossfade: "fade", whip: "slideleft" };
+
+function concatPieces(graph, labels, count, withAudio) {
+  const video = graph.next();
+  const audio = withAudio ? graph.next("a") : null;
+  graph.chains.push(
+    `${labels.map((label) => `[${label}]`).join("")}concat=n=${count}:v=1:a=${
+      withAudio ? 1 : 0
+    }[${video}]${audio ? `[${audio}]` : ""}`
+  );
+  return { video, audio };
+}
+
+// Montage pieces come from their own seeked inputs (input t=0 is the piece
+// start). They are brought to one rate and format, then joined with a hard
+// cut or xfade/acrossfade over the overlap the timeline was built with.
+function applyMontage(graph, timeline, inputs, transition, rate) {
+  const withAudio = inputs.every((input) => input.audio);
+  const pieces = timeline.pieces.map((piece, index) => {
+    const length = (piece.end - piece.start).toFixed(3);
+    const setpts = piece.speed === 1 ? "PTS-STARTPTS" : `(PTS-STARTPTS)/${piece.speed}`;
+    const video = graph.chain(
+      inputs[index].video,
+      `trim=0:${length},setpts=${setpts},fps=${rate},format=yuv420p,setsar=1`,
+      graph.next()
+    );
+    const audio = withAudio
+      ? graph.chain(
+          inputs[index].audio,
+          [
+            `atrim=0:${length}`,
+            "asetpts=PTS-STARTPTS",
+            ...atempoChain(piece.speed),
+            "aresample=48000",
+            "aformat=sample_fmts=fltp:channel_layouts=stereo"
+          ].join(","),
+          graph.next("a")
+        )
+      : null;
+    return { video, audio };
+  });
+
+  const xfade = MONTAGE_TRANSITIONS[transition];
+  if (!xfade || !timeline.overlap) {
+    const labels = pieces.flatMap((piece) => (withAudio ? [piece.video, piece.audio] : [piece.video]));
+    return concatPieces(graph, labels, pieces.length, withAudio);
+  }
+  const duration = timeline.overlap.toFixed(3);
+  let { video, audio } = pieces[0];
+  pieces.slice(1).forEach((piece, index) => {
+    const offset = timeline.pieces[index + 1].outStart.toFixed(3);
+    video = graph.chain(
+      [video, piece.video],
+      `xfade=transition=${xfade}:duration=${duration}:offset=${offset}`,
+      graph.next()
+    );
+    if (withAudio) {
+      audio = graph.chain([audio, piece.audio], `acrossfade=d=${duration}:c1=tri:c2=tri`, graph.next("a"));
+    }
+  });
+  return { video, audio };
+}
+
+// Splits kept ranges so the parts inside `fast` ranges play at `fastSpeed` and
+// the rest at `speed`. Slivers too short to be a piece of their own are merged
+// into the piece before them instead of being dropped.
+function retimeRanges(ranges, fast, speed, fastSpeed) {
+  const sortedFast = [...fast].sort((a, b) => a.start - b.start);
+  const result = [];
+  const push = (start, end, pieceSpeed) => {
+    if (end - start <= 0) return;
+    const last = result[result.length - 1];
+    const touching = last && Math.abs(last.end - start) < 0.001;
+    if (touching && (last.speed === pieceSpeed || end - start < MIN_PIECE_SEC)) {
+      last.end = end;
+    } else if (touching && last.end - last.start < MIN_PIECE_SEC) {
+      last.end = end;
+      last.speed = pieceSpeed;
+    } else {
+      result.push({ start, end, speed: pieceSpeed });
+    }
+  };
+  for (const range of ranges) {
+    let cursor = range.start;
+    for (const item of sortedFast) {
+      const from = Math.max(item.start, range.start, cursor);
+      const to = Math.min(item.end, range.end);
+      if (to <= from) continue;
+      push(cursor, from, speed);
+      push(from, to, fastSpeed);
+      cursor = to;
+    }
+    push(cursor, range.end, speed);
+  }
+  return result;
+}
+
+// Removes `cuts` (source ranges) from the selection; what remains is kept.
+function subtractRanges(selection, cuts) {
+  const end = selection.start + selection.duration;
+  const sorted = cuts
+    .map((cut) => ({ start: Math.max(cut.start, selection.start), end: Math.min(cut.end, end) }))
+    .filter((cut) => cut.end > cut.start)
+    .sort((a, b) => a.start - b.start);
+  const kept = [];
+  let cursor = selection.start;
+  for (const cut of sorted) {
+    if (cut.start > cursor) kept.push({ start: cursor, end: cut.start });
+    cursor = Math.max(cursor, cut.end);
+  }
+  if (cursor < end) kept.push({ start: cursor, end });
+  return kept;
+}
+
+module.exports = {
+  createTimeline,
+  isIdentityTimeline,
+  applyTimeline,
+  applyMontage,
+  retimeRanges,
+  subtractRanges
+};
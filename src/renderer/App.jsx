@@ -1,11 +1,80 @@
 import React, { useEffect, useMemo, useState } from "react";
+import Timeline, { toMediaUrl } from "./Timeline.jsx";
+import SplitLayoutEditor from "./SplitLayoutEditor.jsx";
+import CaptionStyleEditor from "./CaptionStyleEditor.jsx";
+import TranscriptReview from "./TranscriptReview.jsx";
 
 const defaultSettings = {
   targetDuration: 30,
+  clipCount: 1,
+  minClipGapSec: 30,
+  snapBoundaries: false,
+  snapToleranceSec: 1.5,
   aspect: "9:16",
+  framing: "crop",
+  autoReframe: false,
+  framingColor: "#0b0f1a",
+  framingImagePath: "",
+  splitLayout: {
+    name: "",
+    camera: { x: 0.7, y: 0, w: 0.3, h: 0.3 },
+    content: { x: 0, y: 0, w: 1, h: 1 },
+    cameraRatio: 0.35,
+    cameraPosition: "top"
+  },
   subtitleStyle: "boxed",
   highlightMode: "reactions",
+  highlightKeywords: "",
+  reactionWhisperCues: false,
+  montage: false,
+  montageCount: 4,
+  montageSegmentSec: 10,
+  montageTransition: "crossfade",
+  montageTransitionSec: 0.4,
+  clipSpeed: 1,
+  speedRamp: false,
+  speedRampSpeed: 2,
+  speedRampMinPauseSec: 0.8,
+  punchIns: false,
+  punchInIntensity: 15,
+  punchInMaxPerMin: 6,
+  punchInKeywords: "",
+  jumpCut: false,
+  jumpCutMinPauseSec: 0.6,
+  jumpCutFillers: false,
+  loudnessPreset: "off",
+  musicEnabled: false,
+  musicLibraryDir: "",
+  musicTrack: "",
+  musicVolume: 30,
+  musicDuckDb: 12,
+  musicFadeSec: 1.5,
+  watermarkEnabled: false,
+  watermarkPath: "",
+  watermarkPosition: "top-right",
+  watermarkScale: 15,
+  watermarkOpacity: 80,
+  watermarkMarginPct: 4,
+  introPath: "",
+  outroPath: "",
+  hookEnabled: false,
+  hookText: "",
+  hookDurationSec: 2.5,
+  coverCount: 0,
+  coverHook: true,
+  hookAnimation: "pop",
   burnCaptions: true,
+  encodingProfile: "standard",
+  encoding: {
+    codec: "h264",
+    rateControl: "crf",
+    crf: 20,
+    videoBitrate: "8M",
+    maxFps: 60,
+    audioBitrate: "160k",
+    resolution: "full",
+    faststart: true
+  },
   whisperLanguage: "auto",
   whisperModel: "base",
   withCuda: false,
@@ -15,12 +84,87 @@ const defaultSettings = {
   captionMaxWords: 6,
   captionMaxChars: 36,
   wordLevelCaptions: false,
+  karaokeCaptions: false,
+  reviewTranscript: false,
+  captionOutput: "burn",
+  subtitleSrt: false,
+  subtitleVtt: false,
+  subtitleAss: false,
+  subtitleSource: "whisper",
+  subtitlePath: "",
   captionOffsetMs: 0,
   autoCaptionOffset: true,
   captionSpeed: 100,
   minWordDurationMs: 120
 };
 
+// Shown until the main process answers with the full style registry.
+const FALLBACK_CAPTION_STYLES = [
+  { id: "clean", name: "Clean" },
+  { id: "neon", name: "Neon" },
+  { id: "boxed", name: "Boxed" },
+  { id: "punchy", name: "Punchy" }
+];
+
+const CODEC_OPTIONS = [
+  ["h264", "H.264"],
+  ["h265", "H.265 / HEVC"],
+  ["vp9", "VP9"],
+  ["av1", "AV1"]
+];
+
+const OUTPUT_SIZES = {
+  "9:16": "1080x1920",
+  "4:5": "1080x1350",
+  "1:1": "1080x1080",
+  "16:9": "1920x1080"
+};
+
+const CAPTION_SOURCE_LABELS = {
+  whisper: "Whisper captions",
+  auto: "Embedded subtitles or Whisper",
+  file: "Captions from subtitle file"
+};
+
+const CAPTION_OUTPUT_LABELS = {
+  burn: "Burned in",
+  soft: "Soft track",
+  both: "Burned in + soft track"
+};
+
+function describeCaptionOutput(settings) {
+  if (!settings.burnCaptions) return "Off";
+  const files = [
+    ["subtitleSrt", "SRT"],
+    ["subtitleVtt", "VTT"],
+    ["subtitleAss", "ASS"]
+  ]
+    .filter(([key]) => settings[key])
+    .map(([, label]) => label);
+  const output = CAPTION_OUTPUT_LABELS[settings.captionOutput] || CAPTION_OUTPUT_LABELS.burn;
+  return files.length ? `${output} + ${files.join("/")}` : output;
+}
+
+// Highlight colors used to be a per-style setting; saved ones are written onto
+// the matching presets once, so they survive the move to the style registry.
+async function migrateHighlightColors(styles, colors) {
+  let current = styles;
+  for (const [id, color] of Object.entries(colors)) {
+    const style = current.find((item) => item.id === id);
+    if (!style || !color || style.highlightColor === String(color).toLowerCase()) continue;
+    const res = await window.api?.saveCaptionStyle?.({ ...style, highlightColor: color });
+    if (res?.styles) current = res.styles;
+  }
+  return current;
+}
+
+function formatClock(totalSeconds) {
+  const value = Math.max(Number(totalSeconds) || 0, 0);
+  const minutes = Math.floor(value / 60);
+  const seconds = Math.floor(value % 60);
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
 export default function App() {
   const [videoPath, setVideoPath] = useState("");
   const [settings, setSettings] = useState(() => {
@@ -34,7 +178,15 @@ export default function App() {
   const [progress, setProgress] = useState(0);
   const [status, setStatus] = useState("Drop a video to begin");
   const [processing, setProcessing] = useState(false);
-  const [outputPath, setOutputPath] = useState("");
+  const [outputs, setOutputs] = useState([]);
+  const [clipProgress, setClipProgress] = useState(null);
+  const [manualRange, setManualRange] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [montageSegments, setMontageSegments] = useState([]);
+  const [musicTracks, setMusicTracks] = useState([]);
+  const [captionStyles, setCaptionStyles] = useState(FALLBACK_CAPTION_STYLES);
+  const [reviewRequest, setReviewRequest] = useState(null);
+  const [encodingOptions, setEncodingOptions] = useState({ profiles: [], codecs: {} });
   const [updateStatus, setUpdateStatus] = useState({ status: "idle" });
   const [updateChannel, setUpdateChannel] = useState("stable");
   const [showUpdatePrompt, setShowUpdatePrompt] = useState(false);
@@ -47,6 +199,22 @@ export default function App() {
     return parts[parts.length - 1];
   }, [videoPath]);
 
+  useEffect(() => {
+    setManualRange(null);
+    setCandidates([]);
+    setMontageSegments([]);
+  }, [videoPath]);
+
+  useEffect(() => {
+    if (!settings.musicLibraryDir) {
+      setMusicTracks([]);
+      return;
+    }
+    window.api?.listMusicTracks?.(settings.musicLibraryDir).then((res) => {
+      setMusicTracks(res?.tracks || []);
+    });
+  }, [settings.musicLibraryDir]);
+
   useEffect(() => {
     try {
       localStorage.setItem("shorts-settings", JSON.stringify(settings));
@@ -72,6 +240,20 @@ export default function App() {
     window.api?.getUpdateChannel?.().then((res) => {
       if (res?.channel) setUpdateChannel(res.channel);
     });
+    // `settings` here is still what was loaded from storage.
+    const legacyHighlightColors = settings.captionHighlightColors;
+    window.api?.listCaptionStyles?.().then(async (res) => {
+      if (!res?.styles?.length) return;
+      if (!legacyHighlightColors) {
+        setCaptionStyles(res.styles);
+        return;
+      }
+      setCaptionStyles(await migrateHighlightColors(res.styles, legacyHighlightColors));
+      setSettings(({ captionHighlightColors, ...rest }) => rest);
+    });
+    window.api?.getEncodingProfiles?.().then((res) => {
+      if (res?.profiles) setEncodingOptions(res);
+    });
     window.api?.getAppVersion?.().then((res) => {
       if (res?.version) setAppVersion(res.version);
     });
@@ -89,14 +271,15 @@ export default function App() {
   const handleDrop = async (event) => {
     event.preventDefault();
     const file = event.dataTransfer.files?.[0];
-    if (file) {
-      setVideoPath(file.path || file.name);
+    const dropped = file ? await window.api?.useDroppedFile?.(file) : null;
+    if (dropped) {
+      setVideoPath(dropped);
       setStatus("Ready to analyze");
     }
   };
 
   const openDialog = async () => {
-    const picked = await window.api?.openFileDialog?.();
+    const picked = await window.api?.openFileDialog?.("input");
     if (picked) {
       setVideoPath(picked);
       setStatus("Ready to analyze");
@@ -111,25 +294,37 @@ export default function App() {
     }
     setProcessing(true);
     setProgress(0);
+    setOutputs([]);
+    setClipProgress(null);
     setStatus("Analyzing audio + reactions...");
 
-    const unsubscribe = window.api?.onProgress?.((value, message) => {
+    const unsubscribe = window.api?.onProgress?.((value, message, data) => {
       setProgress(value);
       if (message) setStatus(message);
+      if (data?.clip) setClipProgress(data.clip);
     });
     const unsubscribeError = window.api?.onError?.((message) => {
       setStatus(message || "Processing failed");
     });
+    const unsubscribeReview = window.api?.onTranscriptReview?.((request) => {
+      setReviewRequest(request);
+      setStatus("Review the transcript to continue");
+    });
 
     try {
       const result = await window.api?.processVideo?.({
         inputPath: videoPath,
-        settings
+        settings: {
+          ...settings,
+          captionStylePreset: captionStyles.find((style) => style.id === settings.captionStyle)
+        },
+        range: manualRange,
+        segments: settings.montage ? montageSegments : []
       });
       if (result?.error) {
         setStatus(result.error);
-      } else if (result?.outputPath) {
-        setOutputPath(result.outputPath);
+      } else if (result?.outputs?.length) {
+        setOutputs(result.outputs);
         setStatus(result?.message || "Short created");
       } else {
         setStatus("Processing finished with no output. Check logs.");
@@ -138,11 +333,86 @@ export default function App() {
       setStatus(err?.message || "Processing failed");
     } finally {
       setProcessing(false);
+      setClipProgress(null);
+      setReviewRequest(null);
       if (unsubscribe) unsubscribe();
       if (unsubscribeError) unsubscribeError();
+      if (unsubscribeReview) unsubscribeReview();
+    }
+  };
+
+  // Null lines cancel the render in the main process.
+  const finishReview = async (lines) => {
+    if (!reviewRequest) return;
+    const { id } = reviewRequest;
+    setReviewRequest(null);
+    setStatus(lines ? "Rendering with the reviewed transcript..." : "Cancelling render...");
+    const result = await window.api?.submitTranscriptReview?.(id, lines);
+    if (result?.error) setStatus(result.error);
+  };
+
+  const chooseCover = async (output, coverPath) => {
+    const result = await window.api?.chooseCover?.(output.outputPath, coverPath);
+    if (result?.error) {
+      setStatus(result.error);
+      return;
+    }
+    setOutputs((prev) =>
+      prev.map((item) =>
+        item.outputPath === output.outputPath ? { ...item, chosenCover: coverPath } : item
+      )
+    );
+    setStatus(`Cover saved: ${result?.coverPath || coverPath}`);
+  };
+
+  const findCandidates = async () => {
+    if (!videoPath || processing) return;
+    if (!window.api?.analyzeVideo) {
+      setStatus("Electron API not available. Run via Electron (npm run dev).");
+      return;
+    }
+    setProcessing(true);
+    setProgress(0);
+    const unsubscribe = window.api?.onProgress?.((value, message) => {
+      setProgress(value);
+      if (message) setStatus(message);
+    });
+    try {
+      const result = await window.api.analyzeVideo({ inputPath: videoPath, settings });
+      if (result?.error) setStatus(result.error);
+      else setCandidates(result?.candidates || []);
+    } catch (err) {
+      setStatus(err?.message || "Analysis failed");
+    } finally {
+      setProcessing(false);
+      if (unsubscribe) unsubscribe();
     }
   };
 
+  const pickFramingImage = async () => {
+    const picked = await window.api?.openFileDialog?.("image");
+    if (picked) setSettings((prev) => ({ ...prev, framingImagePath: picked }));
+  };
+
+  const pickBrandingFile = async (key, kind) => {
+    const picked = await window.api?.openFileDialog?.(kind);
+    if (picked) setSettings((prev) => ({ ...prev, [key]: picked }));
+  };
+
+  const pickSubtitleFile = async () => {
+    const picked = await window.api?.openFileDialog?.("subtitle");
+    if (picked) setSettings((prev) => ({ ...prev, subtitlePath: picked }));
+  };
+
+  const pickMusicLibrary = async () => {
+    const picked = await window.api?.openFolderDialog?.();
+    if (picked) setSettings((prev) => ({ ...prev, musicLibraryDir: picked, musicTrack: "" }));
+  };
+
+  const updateEncoding = (patch) => {
+    setSettings((prev) => ({ ...prev, encoding: { ...prev.encoding, ...patch } }));
+  };
+
   const openUpload = () => {
     window.api?.openExternal?.("https://studio.youtube.com");
   };
@@ -215,86 +485,912 @@ export default function App() {
           </div>
         </section>
 
-        <section className="grid gap-6 md:grid-cols-[1.3fr_1fr]">
-          <div className="rounded-3xl border border-white/10 bg-white/5 p-6">
-            <h2 className="text-xl font-semibold">Pipeline</h2>
-            <div className="mt-6 space-y-4">
-              <div className="flex items-center justify-between text-sm text-slate-300">
-                <span>1. Audio + reaction scoring</span>
-                <span className="text-neon">Auto</span>
-              </div>
-              <div className="flex items-center justify-between text-sm text-slate-300">
-                <span>2. Best moment selection</span>
-                <span className="text-neon">Top 1</span>
-              </div>
-              <div className="flex items-center justify-between text-sm text-slate-300">
-                <span>3. Whisper captions</span>
-                <span className="text-neon">Burned in</span>
-              </div>
-              <div className="flex items-center justify-between text-sm text-slate-300">
-                <span>4. 9:16 crop + export</span>
-                <span className="text-neon">1080x1920</span>
-              </div>
-            </div>
-            <p className="mt-6 text-xs text-slate-400">
-              Alpha build: expect rough edges. Please double-check settings and results. More tools
-              and fixes are on the way.
-            </p>
-          </div>
+        {videoPath ? (
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <h2 className="text-xl font-semibold">Timeline</h2>
+                <p className="mt-1 text-sm text-slate-400">
+                  Set in/out points by hand, or pick one of the detected moments.
+                </p>
+              </div>
+              <button
+                onClick={findCandidates}
+                disabled={processing}
+                className="rounded-full border border-white/15 bg-black/50 px-5 py-2 text-sm font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {candidates.length ? "Re-detect moments" : "Detect moments"}
+              </button>
+            </div>
+            <div className="mt-6">
+              <Timeline
+                videoPath={videoPath}
+                range={manualRange}
+                candidates={candidates}
+                onRangeChange={setManualRange}
+                segments={montageSegments}
+                onSegmentsChange={settings.montage ? setMontageSegments : null}
+              />
+            </div>
+          </section>
+        ) : null}
+
+        <section className="grid gap-6 md:grid-cols-[1.3fr_1fr]">
+          <div className="rounded-3xl border border-white/10 bg-white/5 p-6">
+            <h2 className="text-xl font-semibold">Pipeline</h2>
+            <div className="mt-6 space-y-4">
+              <div className="flex items-center justify-between text-sm text-slate-300">
+                <span>1. Audio + reaction scoring</span>
+                <span className="text-neon">Auto</span>
+              </div>
+              <div className="flex items-center justify-between text-sm text-slate-300">
+                <span>2. Best moment selection</span>
+                <span className="text-neon">
+                  {settings.montage
+                    ? montageSegments.length > 1
+                      ? `Montage of ${montageSegments.length}`
+                      : `Montage of top ${settings.montageCount}`
+                    : manualRange
+                      ? "Manual in/out"
+                      : `Top ${settings.clipCount}`}
+                </span>
+              </div>
+              <div className="flex items-center justify-between text-sm text-slate-300">
+                <span>
+                  3. {CAPTION_SOURCE_LABELS[settings.subtitleSource] || CAPTION_SOURCE_LABELS.whisper}
+                </span>
+                <span className="text-neon">{describeCaptionOutput(settings)}</span>
+              </div>
+              <div className="flex items-center justify-between text-sm text-slate-300">
+                <span>4. {settings.aspect} crop + export</span>
+                <span className="text-neon">
+                  {OUTPUT_SIZES[settings.aspect] || OUTPUT_SIZES["9:16"]}
+                </span>
+              </div>
+            </div>
+            <p className="mt-6 text-xs text-slate-400">
+              Alpha build: expect rough edges. Please double-check settings and results. More tools
+              and fixes are on the way.
+            </p>
+          </div>
+
+          <div className="rounded-3xl border border-white/10 bg-white/5 p-6">
+            <h2 className="text-xl font-semibold">Settings</h2>
+            <div className="mt-6 space-y-3 text-sm">
+              <details className="rounded-2xl border border-white/10 bg-black/30 p-4">
+                <summary className="cursor-pointer text-sm font-semibold text-white">
+                  Clip settings
+                </summary>
+                <div className="mt-4 space-y-4">
+                  <label className="flex items-center justify-between">
+                    <span>Target duration (sec)</span>
+                    <input
+                      type="number"
+                      value={settings.targetDuration}
+                      min={15}
+                      max={60}
+                      onChange={(event) =>
+                        setSettings((prev) => ({
+                          ...prev,
+                          targetDuration: Number(event.target.value)
+                        }))
+                      }
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Number of clips</span>
+                    <input
+                      type="number"
+                      value={settings.clipCount}
+                      min={1}
+                      max={10}
+                      onChange={(event) =>
+                        setSettings((prev) => ({
+                          ...prev,
+                          clipCount: Number(event.target.value)
+                        }))
+                      }
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  {settings.clipCount > 1 ? (
+                    <label className="flex items-center justify-between">
+                      <span>Min gap between clips (sec)</span>
+                      <input
+                        type="number"
+                        value={settings.minClipGapSec}
+                        min={0}
+                        max={600}
+                        step={5}
+                        onChange={(event) =>
+                          setSettings((prev) => ({
+                            ...prev,
+                            minClipGapSec: Number(event.target.value)
+                          }))
+                        }
+                        className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                      />
+                    </label>
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Snap cuts to scenes + pauses</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.snapBoundaries}
+                      onChange={(event) =>
+                        setSettings((prev) => ({
+                          ...prev,
+                          snapBoundaries: event.target.checked
+                        }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  {settings.snapBoundaries && settings.highlightMode === "dialog" ? (
+                    <p className="text-xs text-white/60">
+                      Dialogue picks keep their sentence boundaries and are not snapped.
+                    </p>
+                  ) : null}
+                  {settings.snapBoundaries ? (
+                    <label className="flex items-center justify-between">
+                      <span>Snap tolerance (sec)</span>
+                      <input
+                        type="number"
+                        value={settings.snapToleranceSec}
+                        min={0.2}
+                        max={5}
+                        step={0.1}
+                        onChange={(event) =>
+                          setSettings((prev) => ({
+                            ...prev,
+                            snapToleranceSec: Number(event.target.value)
+                          }))
+                        }
+                        className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                      />
+                    </label>
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Aspect ratio</span>
+                    <select
+                      value={settings.aspect}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, aspect: event.target.value }))
+                      }
+                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      <option value="9:16">9:16 (Shorts/Reels/TikTok)</option>
+                      <option value="4:5">4:5 (feed portrait)</option>
+                      <option value="1:1">1:1 (square)</option>
+                      <option value="16:9">16:9 (landscape)</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Framing</span>
+                    <select
+                      value={settings.framing}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, framing: event.target.value }))
+                      }
+                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      <option value="crop">Center crop</option>
+                      <option value="fit-blur">Fit + blurred background</option>
+                      <option value="fit-color">Fit + solid color</option>
+                      <option value="fit-image">Fit + image</option>
+                      <option value="split">Split screen (camera + content)</option>
+                    </select>
+                  </label>
+                  {settings.framing === "crop" ? (
+                    <label className="flex items-center justify-between">
+                      <span>Auto reframe (follow motion)</span>
+                      <input
+                        type="checkbox"
+                        checked={settings.autoReframe}
+                        onChange={(event) =>
+                          setSettings((prev) => ({ ...prev, autoReframe: event.target.checked }))
+                        }
+                        className="h-4 w-4 accent-neon"
+                      />
+                    </label>
+                  ) : null}
+                  {settings.framing === "fit-color" ? (
+                    <label className="flex items-center justify-between">
+                      <span>Background color</span>
+                      <input
+                        type="color"
+                        value={settings.framingColor}
+                        onChange={(event) =>
+                          setSettings((prev) => ({ ...prev, framingColor: event.target.value }))
+                        }
+                        className="h-8 w-12 rounded-lg border border-white/10 bg-black/40"
+                      />
+                    </label>
+                  ) : null}
+                  {settings.framing === "fit-image" ? (
+                    <div className="flex items-center justify-between gap-4">
+                      <span className="truncate text-xs text-white/60">
+                        {settings.framingImagePath || "No image selected (falls back to blur)"}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={pickFramingImage}
+                        className="shrink-0 rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+                      >
+                        Choose image
+                      </button>
+                    </div>
+                  ) : null}
+                  {settings.framing === "split" ? (
+                    <SplitLayoutEditor
+                      layout={settings.splitLayout}
+                      onChange={(splitLayout) => setSettings((prev) => ({ ...prev, splitLayout }))}
+                    />
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Montage (stitch several moments)</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.montage}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, montage: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  {settings.montage ? (
+                    <>
+                      <label className="flex items-center justify-between">
+                        <span>Moments (auto)</span>
+                        <input
+                          type="number"
+                          min="2"
+                          max="5"
+                          value={settings.montageCount}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              montageCount: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Moment length (s)</span>
+                        <input
+                          type="number"
+                          min="2"
+                          max="30"
+                          value={settings.montageSegmentSec}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              montageSegmentSec: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Transition</span>
+                        <select
+                          value={settings.montageTransition}
+                          onChange={(event) =>
+                            setSettings((prev) => ({ ...prev, montageTransition: event.target.value }))
+                          }
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value="cut">Cut</option>
+                          <option value="crossfade">Crossfade</option>
+                          <option value="whip">Whip</option>
+                        </select>
+                      </label>
+                      {settings.montageTransition !== "cut" ? (
+                        <label className="flex items-center justify-between">
+                          <span>Transition length (s)</span>
+                          <input
+                            type="number"
+                            min="0.1"
+                            max="1.5"
+                            step="0.1"
+                            value={settings.montageTransitionSec}
+                            onChange={(event) =>
+                              setSettings((prev) => ({
+                                ...prev,
+                                montageTransitionSec: Number(event.target.value)
+                              }))
+                            }
+                            className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                          />
+                        </label>
+                      ) : null}
+                      <p className="text-xs text-slate-400">
+                        Add moments from the timeline to pick them by hand; otherwise the top
+                        moments are found for you.
+                      </p>
+                    </>
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Jump cuts (remove pauses)</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.jumpCut}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, jumpCut: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  {settings.jumpCut ? (
+                    <>
+                      <label className="flex items-center justify-between">
+                        <span>Cut pauses longer than (s)</span>
+                        <input
+                          type="number"
+                          min="0.2"
+                          max="5"
+                          step="0.1"
+                          value={settings.jumpCutMinPauseSec}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              jumpCutMinPauseSec: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Also cut filler words (um, uh)</span>
+                        <input
+                          type="checkbox"
+                          checked={settings.jumpCutFillers}
+                          onChange={(event) =>
+                            setSettings((prev) => ({ ...prev, jumpCutFillers: event.target.checked }))
+                          }
+                          className="h-4 w-4 accent-neon"
+                        />
+                      </label>
+                    </>
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Clip speed (x)</span>
+                    <input
+                      type="number"
+                      min="0.5"
+                      max="3"
+                      step="0.05"
+                      value={settings.clipSpeed}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, clipSpeed: Number(event.target.value) }))
+                      }
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Speed ramps (fast-forward pauses)</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.speedRamp}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, speedRamp: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  {settings.speedRamp ? (
+                    <>
+                      <label className="flex items-center justify-between">
+                        <span>Ramp speed (x)</span>
+                        <input
+                          type="number"
+                          min="1.1"
+                          max="4"
+                          step="0.1"
+                          value={settings.speedRampSpeed}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              speedRampSpeed: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Ramp pauses longer than (s)</span>
+                        <input
+                          type="number"
+                          min="0.3"
+                          max="5"
+                          step="0.1"
+                          value={settings.speedRampMinPauseSec}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              speedRampMinPauseSec: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                    </>
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Zoom punch-ins on emphasis</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.punchIns}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, punchIns: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  {settings.punchIns ? (
+                    <>
+                      <label className="flex items-center justify-between">
+                        <span>Zoom intensity (%)</span>
+                        <input
+                          type="number"
+                          min="2"
+                          max="50"
+                          value={settings.punchInIntensity}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              punchInIntensity: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Max punch-ins per minute</span>
+                        <input
+                          type="number"
+                          min="1"
+                          max="30"
+                          value={settings.punchInMaxPerMin}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              punchInMaxPerMin: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Punch-in keywords</span>
+                        <input
+                          type="text"
+                          value={settings.punchInKeywords}
+                          placeholder="comma, separated"
+                          onChange={(event) =>
+                            setSettings((prev) => ({ ...prev, punchInKeywords: event.target.value }))
+                          }
+                          className="w-40 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        />
+                      </label>
+                    </>
+                  ) : null}
+                  <label className="flex items-center justify-between">
+                    <span>Loudness</span>
+                    <select
+                      value={settings.loudnessPreset}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, loudnessPreset: event.target.value }))
+                      }
+                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      <option value="off">Off (keep source level)</option>
+                      <option value="youtube">-14 LUFS (YouTube/TikTok)</option>
+                      <option value="podcast">-16 LUFS (podcast)</option>
+                      <option value="broadcast">-23 LUFS (EBU R128)</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Highlight mode</span>
+                    <select
+                      value={settings.highlightMode}
+                      onChange={(event) =>
+                        setSettings((prev) => ({
+                          ...prev,
+                          highlightMode: event.target.value
+                        }))
+                      }
+                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      <option value="reactions">Reactions + energy</option>
+                      <option value="dialog">Dialogue peaks</option>
+                    </select>
+                  </label>
+                  {settings.highlightMode === "reactions" ? (
+                    <label className="flex items-center justify-between">
+                      <span>Use Whisper sound cues</span>
+                      <input
+                        type="checkbox"
+                        checked={settings.reactionWhisperCues}
+                        onChange={(event) =>
+                          setSettings((prev) => ({
+                            ...prev,
+                            reactionWhisperCues: event.target.checked
+                          }))
+                        }
+                        className="h-4 w-4 accent-neon"
+                      />
+                    </label>
+                  ) : null}
+                  {settings.highlightMode === "dialog" ? (
+                    <>
+                      <label className="flex items-center justify-between gap-4">
+                        <span>Cue keywords</span>
+                        <input
+                          type="text"
+                          value={settings.highlightKeywords}
+                          placeholder="comma, separated"
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              highlightKeywords: event.target.value
+                            }))
+                          }
+                          className="w-40 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        />
+                      </label>
+                      <p className="text-xs text-white/60">
+                        Dialogue mode transcribes the whole video with Whisper first, then picks
+                        clips that start and end on full sentences.
+                      </p>
+                    </>
+                  ) : null}
+                </div>
+              </details>
+
+              <details className="rounded-2xl border border-white/10 bg-black/30 p-4">
+                <summary className="cursor-pointer text-sm font-semibold text-white">
+                  Music
+                </summary>
+                <div className="mt-4 space-y-4">
+                  <label className="flex items-center justify-between">
+                    <span>Add background music</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.musicEnabled}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, musicEnabled: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  <div className="flex items-center justify-between gap-4">
+                    <span className="truncate text-xs text-white/60">
+                      {settings.musicLibraryDir || "No music folder selected"}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={pickMusicLibrary}
+                      className="shrink-0 rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+                    >
+                      Choose folder
+                    </button>
+                  </div>
+                  <label className="flex items-center justify-between">
+                    <span>Track</span>
+                    <select
+                      value={settings.musicTrack}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, musicTrack: event.target.value }))
+                      }
+                      className="max-w-[12rem] rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      <option value="">
+                        {musicTracks.length ? "Pick a track" : "No tracks found"}
+                      </option>
+                      {musicTracks.map((track) => (
+                        <option key={track.path} value={track.path}>
+                          {track.name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Music volume (%)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={settings.musicVolume}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, musicVolume: Number(event.target.value) }))
+                      }
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Duck under speech (dB)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="40"
+                      value={settings.musicDuckDb}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, musicDuckDb: Number(event.target.value) }))
+                      }
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Fade in/out (s)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      step="0.5"
+                      value={settings.musicFadeSec}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, musicFadeSec: Number(event.target.value) }))
+                      }
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  <p className="text-xs text-white/60">
+                    The track loops or trims to the clip length. It ducks on caption word timings
+                    when available, otherwise on the voice level.
+                  </p>
+                </div>
+              </details>
+
+              <details className="rounded-2xl border border-white/10 bg-black/30 p-4">
+                <summary className="cursor-pointer text-sm font-semibold text-white">
+                  Branding
+                </summary>
+                <div className="mt-4 space-y-4">
+                  <label className="flex items-center justify-between">
+                    <span>Watermark / logo</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.watermarkEnabled}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, watermarkEnabled: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  {settings.watermarkEnabled ? (
+                    <>
+                      <div className="flex items-center justify-between gap-4">
+                        <span className="truncate text-xs text-white/60">
+                          {settings.watermarkPath || "No logo selected (transparent PNG works best)"}
+                        </span>
+                        <div className="shrink-0">
+                          <button
+                            type="button"
+                            onClick={() => pickBrandingFile("watermarkPath", "image")}
+                            className="rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+                          >
+                            Choose
+                          </button>
+                        </div>
+                      </div>
+                      <label className="flex items-center justify-between">
+                        <span>Position</span>
+                        <select
+                          value={settings.watermarkPosition}
+                          onChange={(event) =>
+                            setSettings((prev) => ({ ...prev, watermarkPosition: event.target.value }))
+                          }
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value="top-left">Top left</option>
+                          <option value="top-right">Top right</option>
+                          <option value="bottom-left">Bottom left</option>
+                          <option value="bottom-right">Bottom right</option>
+                          <option value="center">Center</option>
+                        </select>
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Logo width (% of frame)</span>
+                        <input
+                          type="number"
+                          min="2"
+                          max="100"
+                          value={settings.watermarkScale}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              watermarkScale: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Opacity (%)</span>
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={settings.watermarkOpacity}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              watermarkOpacity: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Safe margin (% of width)</span>
+                        <input
+                          type="number"
+                          min="0"
+                          max="25"
+                          value={settings.watermarkMarginPct}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              watermarkMarginPct: Number(event.target.value)
+                            }))
+                          }
+                          className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                        />
+                      </label>
+                    </>
+                  ) : null}
+                  <div className="flex items-center justify-between gap-4">
+                    <span className="truncate text-xs text-white/60">
+                      Intro: {settings.introPath || "none"}
+                    </span>
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        type="button"
+                        onClick={() => pickBrandingFile("introPath")}
+                        className="rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+                      >
+                        Choose
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setSettings((prev) => ({ ...prev, introPath: "" }))}
+                        disabled={!settings.introPath}
+                        className="rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-50"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                  <div className="flex items-center justify-between gap-4">
+                    <span className="truncate text-xs text-white/60">
+                      Outro: {settings.outroPath || "none"}
+                    </span>
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        type="button"
+                        onClick={() => pickBrandingFile("outroPath")}
+                        className="rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+                      >
+                        Choose
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setSettings((prev) => ({ ...prev, outroPath: "" }))}
+                        disabled={!settings.outroPath}
+                        className="rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-50"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                  <p className="text-xs text-white/60">
+                    Intro and outro clips are fitted to the output size and joined around each
+                    short; captions stay on the main segment.
+                  </p>
+                </div>
+              </details>
 
-          <div className="rounded-3xl border border-white/10 bg-white/5 p-6">
-            <h2 className="text-xl font-semibold">Settings</h2>
-            <div className="mt-6 space-y-3 text-sm">
               <details className="rounded-2xl border border-white/10 bg-black/30 p-4">
                 <summary className="cursor-pointer text-sm font-semibold text-white">
-                  Clip settings
+                  Hook title
                 </summary>
                 <div className="mt-4 space-y-4">
                   <label className="flex items-center justify-between">
-                    <span>Target duration (sec)</span>
+                    <span>Show hook headline</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.hookEnabled}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, hookEnabled: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-2">
+                    <span>Headline</span>
+                    <input
+                      type="text"
+                      value={settings.hookText}
+                      placeholder="Blank = first sentence of the clip"
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, hookText: event.target.value }))
+                      }
+                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Show for (s)</span>
                     <input
                       type="number"
-                      value={settings.targetDuration}
-                      min={15}
-                      max={60}
+                      min="0.5"
+                      max="10"
+                      step="0.5"
+                      value={settings.hookDurationSec}
                       onChange={(event) =>
                         setSettings((prev) => ({
                           ...prev,
-                          targetDuration: Number(event.target.value)
+                          hookDurationSec: Number(event.target.value)
                         }))
                       }
                       className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
                     />
                   </label>
                   <label className="flex items-center justify-between">
-                    <span>Aspect ratio</span>
+                    <span>Animation</span>
                     <select
-                      value={settings.aspect}
+                      value={settings.hookAnimation}
                       onChange={(event) =>
-                        setSettings((prev) => ({ ...prev, aspect: event.target.value }))
+                        setSettings((prev) => ({ ...prev, hookAnimation: event.target.value }))
                       }
                       className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
                     >
-                      <option value="9:16">9:16</option>
-                      <option value="4:5">4:5</option>
+                      <option value="pop">Pop</option>
+                      <option value="fade">Fade</option>
+                      <option value="slide">Slide in</option>
                     </select>
                   </label>
+                  <p className="text-xs text-white/60">
+                    The headline sits in the half of the frame the captions are not using.
+                  </p>
+                </div>
+              </details>
+
+              <details className="rounded-2xl border border-white/10 bg-black/30 p-4">
+                <summary className="cursor-pointer text-sm font-semibold text-white">
+                  Cover images
+                </summary>
+                <div className="mt-4 space-y-4">
                   <label className="flex items-center justify-between">
-                    <span>Highlight mode</span>
-                    <select
-                      value={settings.highlightMode}
+                    <span>Candidates per short</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="6"
+                      value={settings.coverCount}
                       onChange={(event) =>
-                        setSettings((prev) => ({
-                          ...prev,
-                          highlightMode: event.target.value
-                        }))
+                        setSettings((prev) => ({ ...prev, coverCount: Number(event.target.value) }))
                       }
-                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
-                    >
-                      <option value="reactions">Reactions + energy</option>
-                      <option value="dialog">Dialogue peaks</option>
-                    </select>
+                      className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span>Put the headline on covers</span>
+                    <input
+                      type="checkbox"
+                      checked={settings.coverHook}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, coverHook: event.target.checked }))
+                      }
+                      className="h-4 w-4 accent-neon"
+                    />
                   </label>
+                  <p className="text-xs text-white/60">
+                    Covers are saved next to each MP4. Click one under the results to keep it as
+                    the short's cover.
+                  </p>
                 </div>
               </details>
 
@@ -304,7 +1400,7 @@ export default function App() {
                 </summary>
                 <div className="mt-4 space-y-4">
                   <label className="flex items-center justify-between">
-                    <span>Add captions (Whisper)</span>
+                    <span>Add captions</span>
                     <input
                       type="checkbox"
                       checked={settings.burnCaptions}
@@ -317,6 +1413,41 @@ export default function App() {
                       className="h-4 w-4 accent-neon"
                     />
                   </label>
+                  <label className="flex items-center justify-between">
+                    <span>Caption source</span>
+                    <select
+                      value={settings.subtitleSource}
+                      onChange={(event) =>
+                        setSettings((prev) => ({
+                          ...prev,
+                          subtitleSource: event.target.value
+                        }))
+                      }
+                      className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      <option value="whisper">Whisper</option>
+                      <option value="auto">Embedded subtitles, else Whisper</option>
+                      <option value="file">Subtitle file</option>
+                    </select>
+                  </label>
+                  {settings.subtitleSource === "file" ? (
+                    <div className="flex items-center justify-between gap-4">
+                      <span className="truncate text-xs text-white/60">
+                        Subtitles: {settings.subtitlePath || "none"}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={pickSubtitleFile}
+                        className="shrink-0 rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+                      >
+                        Choose
+                      </button>
+                    </div>
+                  ) : null}
+                  <p className="text-xs text-white/60">
+                    Existing subtitles skip Whisper: they drive captions and dialogue scoring, but
+                    have no word timings for word-level captions or filler cuts.
+                  </p>
                   {settings.burnCaptions ? (
                     <>
                       <label className="flex items-center justify-between">
@@ -380,12 +1511,30 @@ export default function App() {
                           }
                           className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
                         >
-                          <option value="clean">Clean</option>
-                          <option value="neon">Neon</option>
-                          <option value="boxed">Boxed</option>
-                          <option value="punchy">Punchy</option>
+                          {captionStyles.map((style) => (
+                            <option key={style.id} value={style.id}>
+                              {style.name}
+                            </option>
+                          ))}
                         </select>
                       </label>
+                      {window.api?.listCaptionStyles ? (
+                        <details>
+                          <summary className="cursor-pointer text-xs text-white/70">
+                            Edit caption styles
+                          </summary>
+                          <div className="mt-3">
+                            <CaptionStyleEditor
+                              styles={captionStyles}
+                              selectedId={settings.captionStyle}
+                              onStylesChange={setCaptionStyles}
+                              onSelect={(captionStyle) =>
+                                setSettings((prev) => ({ ...prev, captionStyle }))
+                              }
+                            />
+                          </div>
+                        </details>
+                      ) : null}
                       <label className="flex items-center justify-between">
                         <span>Caption size</span>
                         <input
@@ -432,6 +1581,83 @@ export default function App() {
                           className="h-4 w-4 accent-neon"
                         />
                       </label>
+                      {settings.wordLevelCaptions ? (
+                        <>
+                          <label className="flex items-center justify-between">
+                            <span>Karaoke (phrase with active word)</span>
+                            <input
+                              type="checkbox"
+                              checked={settings.karaokeCaptions}
+                              onChange={(event) =>
+                                setSettings((prev) => ({
+                                  ...prev,
+                                  karaokeCaptions: event.target.checked
+                                }))
+                              }
+                              className="h-4 w-4 accent-neon"
+                            />
+                          </label>
+                          {settings.karaokeCaptions ? (
+                            <p className="text-xs text-white/60">
+                              The highlight color comes from the caption style.
+                            </p>
+                          ) : null}
+                        </>
+                      ) : null}
+                      <label className="flex items-center justify-between">
+                        <span>Caption output</span>
+                        <select
+                          value={settings.captionOutput}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              captionOutput: event.target.value
+                            }))
+                          }
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value="burn">Burned in</option>
+                          <option value="soft">Soft subtitle track</option>
+                          <option value="both">Burned in + soft track</option>
+                        </select>
+                      </label>
+                      <div className="flex flex-wrap items-center gap-4">
+                        <span>Subtitle files</span>
+                        {[
+                          ["subtitleSrt", "SRT"],
+                          ["subtitleVtt", "WebVTT"],
+                          ["subtitleAss", "ASS"]
+                        ].map(([key, label]) => (
+                          <label key={key} className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              checked={settings[key]}
+                              onChange={(event) =>
+                                setSettings((prev) => ({ ...prev, [key]: event.target.checked }))
+                              }
+                              className="h-4 w-4 accent-neon"
+                            />
+                            <span>{label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <p className="text-xs text-white/60">
+                        Subtitle files are saved next to each MP4 with the same name.
+                      </p>
+                      <label className="flex items-center justify-between">
+                        <span>Review transcript before rendering</span>
+                        <input
+                          type="checkbox"
+                          checked={settings.reviewTranscript}
+                          onChange={(event) =>
+                            setSettings((prev) => ({
+                              ...prev,
+                              reviewTranscript: event.target.checked
+                            }))
+                          }
+                          className="h-4 w-4 accent-neon"
+                        />
+                      </label>
                       <label className="flex items-center justify-between">
                         <span>Auto align to speech</span>
                         <input
@@ -553,6 +1779,134 @@ export default function App() {
                       className="h-4 w-4 accent-neon"
                     />
                   </label>
+                  <label className="flex items-center justify-between">
+                    <span>Encoding profile</span>
+                    <select
+                      value={settings.encodingProfile}
+                      onChange={(event) =>
+                        setSettings((prev) => ({ ...prev, encodingProfile: event.target.value }))
+                      }
+                      className="max-w-[12rem] rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                    >
+                      {encodingOptions.profiles.length ? null : (
+                        <option value="standard">Standard (H.264, encoder defaults)</option>
+                      )}
+                      {encodingOptions.profiles.map((profile) => (
+                        <option key={profile.id} value={profile.id} disabled={!profile.available}>
+                          {profile.available ? profile.label : `${profile.label} (unsupported)`}
+                        </option>
+                      ))}
+                      <option value="custom">Custom</option>
+                    </select>
+                  </label>
+                  {settings.encodingProfile === "custom" ? (
+                    <div className="space-y-4 rounded-xl border border-white/10 bg-black/20 p-3">
+                      <label className="flex items-center justify-between">
+                        <span>Codec</span>
+                        <select
+                          value={settings.encoding.codec}
+                          onChange={(event) => updateEncoding({ codec: event.target.value })}
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          {CODEC_OPTIONS.map(([value, label]) => (
+                            <option
+                              key={value}
+                              value={value}
+                              disabled={encodingOptions.codecs[value] === false}
+                            >
+                              {encodingOptions.codecs[value] === false ? `${label} (unsupported)` : label}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Rate control</span>
+                        <select
+                          value={settings.encoding.rateControl}
+                          onChange={(event) => updateEncoding({ rateControl: event.target.value })}
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value="crf">Constant quality (CRF)</option>
+                          <option value="bitrate">Target bitrate</option>
+                        </select>
+                      </label>
+                      {settings.encoding.rateControl === "bitrate" ? (
+                        <label className="flex items-center justify-between">
+                          <span>Video bitrate (Mbps)</span>
+                          <input
+                            type="number"
+                            min="1"
+                            max="80"
+                            value={parseFloat(settings.encoding.videoBitrate) || 8}
+                            onChange={(event) =>
+                              updateEncoding({ videoBitrate: `${Number(event.target.value) || 8}M` })
+                            }
+                            className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                          />
+                        </label>
+                      ) : (
+                        <label className="flex items-center justify-between">
+                          <span>CRF (lower = better)</span>
+                          <input
+                            type="number"
+                            min="0"
+                            max="63"
+                            value={settings.encoding.crf}
+                            onChange={(event) => updateEncoding({ crf: Number(event.target.value) })}
+                            className="w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white"
+                          />
+                        </label>
+                      )}
+                      <label className="flex items-center justify-between">
+                        <span>Max frame rate</span>
+                        <select
+                          value={settings.encoding.maxFps}
+                          onChange={(event) => updateEncoding({ maxFps: Number(event.target.value) })}
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value={24}>24 fps</option>
+                          <option value={30}>30 fps</option>
+                          <option value={60}>60 fps</option>
+                          <option value={0}>Source</option>
+                        </select>
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Resolution</span>
+                        <select
+                          value={settings.encoding.resolution}
+                          onChange={(event) => updateEncoding({ resolution: event.target.value })}
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value="full">Full ({OUTPUT_SIZES[settings.aspect] || "1080x1920"})</option>
+                          <option value="720">720p</option>
+                          <option value="540">540p</option>
+                        </select>
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Audio bitrate</span>
+                        <select
+                          value={settings.encoding.audioBitrate}
+                          onChange={(event) => updateEncoding({ audioBitrate: event.target.value })}
+                          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+                        >
+                          <option value="96k">96 kbps</option>
+                          <option value="128k">128 kbps</option>
+                          <option value="160k">160 kbps</option>
+                          <option value="192k">192 kbps</option>
+                          <option value="256k">256 kbps</option>
+                        </select>
+                      </label>
+                      <label className="flex items-center justify-between">
+                        <span>Fast start (web playback)</span>
+                        <input
+                          type="checkbox"
+                          checked={settings.encoding.faststart}
+                          onChange={(event) => updateEncoding({ faststart: event.target.checked })}
+                          className="h-4 w-4 accent-neon"
+                        />
+                      </label>
+                    </div>
+                  ) : null}
                   <label className="flex items-center justify-between">
                     <span>Update channel</span>
                     <select
@@ -655,16 +2009,72 @@ export default function App() {
           </div>
         ) : null}
 
+        {reviewRequest ? (
+          <TranscriptReview
+            request={reviewRequest}
+            onSubmit={finishReview}
+            onCancel={() => finishReview(null)}
+          />
+        ) : null}
+
         <section className="rounded-3xl border border-white/10 bg-gradient-to-r from-electric/30 via-white/5 to-neon/20 p-6">
           <div className="flex flex-wrap items-center justify-between gap-4">
             <div>
               <p className="text-sm uppercase tracking-[0.2em] text-white/70">Status</p>
               <p className="mt-2 text-lg font-medium text-white">{status}</p>
-              {outputPath ? (
+              {processing && clipProgress?.total > 1 ? (
                 <p className="mt-1 text-xs text-white/70">
-                  Output: <span className="text-neon">{outputPath}</span>
+                  Clip {clipProgress.index} of {clipProgress.total} • {clipProgress.progress}%
                 </p>
               ) : null}
+              {outputs.length ? (
+                <ol className="mt-1 space-y-1 text-xs text-white/70">
+                  {outputs.map((output) => (
+                    <li key={output.outputPath}>
+                      #{output.rank} • {formatClock(output.selection?.start)} –{" "}
+                      {formatClock(
+                        Number(output.selection?.start || 0) + Number(output.selection?.duration || 0)
+                      )}{" "}
+                      {output.selection?.snap?.start || output.selection?.snap?.end
+                        ? " • snapped"
+                        : ""}{" "}
+                      {output.hook ? `• “${output.hook}” ` : ""}
+                      {output.subtitles?.length
+                        ? `• ${output.subtitles
+                            .map((filePath) => filePath.split(".").pop().toUpperCase())
+                            .join(", ")} `
+                        : ""}
+                      {output.loudness?.applied?.integrated != null
+                        ? `• ${output.loudness.applied.integrated} LUFS `
+                        : ""}
+                      • <span className="text-neon">{output.outputPath}</span>
+                      {output.covers?.length ? (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {output.covers.map((coverPath) => (
+                            <button
+                              key={coverPath}
+                              type="button"
+                              title="Use as cover"
+                              onClick={() => chooseCover(output, coverPath)}
+                              className={`overflow-hidden rounded-lg border-2 transition ${
+                                output.chosenCover === coverPath
+                                  ? "border-neon"
+                                  : "border-white/10 hover:border-neon/60"
+                              }`}
+                            >
+                              <img
+                                src={toMediaUrl(coverPath)}
+                                alt="Cover candidate"
+                                className="h-28 w-auto object-cover"
+                              />
+                            </button>
+                          ))}
+                        </div>
+                      ) : null}
+                    </li>
+                  ))}
+                </ol>
+              ) : null}
               <div className="mt-3 h-2 w-full max-w-md overflow-hidden rounded-full bg-white/10">
                 <div
                   className="h-full rounded-full bg-neon transition-all"
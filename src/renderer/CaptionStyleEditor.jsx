@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from "react";
+
+const inputClass =
+  "w-20 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white";
+const colorClass = "h-8 w-12 rounded-lg border border-white/10 bg-black/40";
+const buttonClass =
+  "rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-50";
+
+const NUMBER_FIELDS = [
+  ["sizeOffset", "Size adjust", -24, 48],
+  ["outline", "Outline width", 0, 12],
+  ["shadow", "Shadow", 0, 8],
+  ["highlightScale", "Highlight scale (%)", 80, 160],
+  ["marginH", "Side margin (px)", 0, 400],
+  ["marginV", "Bottom margin (px)", 0, 600]
+];
+
+const COLOR_FIELDS = [
+  ["primaryColor", "Text color"],
+  ["outlineColor", "Outline / box color"],
+  ["highlightColor", "Karaoke highlight"]
+];
+
+const FLAG_FIELDS = [
+  ["bold", "Bold"],
+  ["italic", "Italic"],
+  ["uppercase", "Uppercase"]
+];
+
+function StylePreview({ style }) {
+  return (
+    <div className="flex h-16 items-center justify-center rounded-lg border border-white/10 bg-gradient-to-br from-slate-700 to-slate-900">
+      <span
+        className="px-2 text-lg"
+        style={{
+          fontFamily: style.font,
+          fontWeight: style.bold ? 700 : 400,
+          fontStyle: style.italic ? "italic" : "normal",
+          color: style.primaryColor,
+          WebkitTextStroke: style.box ? undefined : `${Math.min(style.outline, 3) / 2}px ${style.outlineColor}`,
+          backgroundColor: style.box
+            ? `${style.outlineColor}${Math.round((style.boxOpacity / 100) * 255)
+                .toString(16)
+                .padStart(2, "0")}`
+            : "transparent"
+        }}
+      >
+        {style.uppercase ? "CAPTION " : "Caption "}
+        <span style={{ color: style.highlightColor }}>{style.uppercase ? "PREVIEW" : "preview"}</span>
+      </span>
+    </div>
+  );
+}
+
+export default function CaptionStyleEditor({ styles, selectedId, onStylesChange, onSelect }) {
+  const selected = styles.find((style) => style.id === selectedId) || styles[0];
+  const [draft, setDraft] = useState(selected);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    setDraft(selected);
+  }, [selected]);
+
+  if (!draft) return null;
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const applyResult = (res, success) => {
+    if (!res) return null;
+    if (res.error) {
+      setMessage(res.error);
+      return null;
+    }
+    if (res.styles) onStylesChange(res.styles);
+    setMessage(success);
+    return res;
+  };
+
+  const saveStyle = async (style, success) => {
+    if (!style.name?.trim()) {
+      setMessage("Name the style to save it.");
+      return;
+    }
+    const res = applyResult(await window.api?.saveCaptionStyle?.(style), success);
+    if (res?.style) onSelect(res.style.id);
+  };
+
+  const deleteStyle = async () => {
+    const res = applyResult(
+      await window.api?.deleteCaptionStyle?.(draft.id),
+      draft.builtIn ? `Reset "${draft.name}"` : `Deleted "${draft.name}"`
+    );
+    if (res && !draft.builtIn) onSelect(res.styles?.[0]?.id || "clean");
+  };
+
+  const importStyles = async () => {
+    const res = applyResult(await window.api?.importCaptionStyles?.(), "");
+    if (res) setMessage(`Imported ${res.count} style${res.count === 1 ? "" : "s"}`);
+  };
+
+  const exportStyles = async () => {
+    const res = applyResult(await window.api?.exportCaptionStyles?.(), "");
+    if (res) setMessage(`Exported ${res.count} style${res.count === 1 ? "" : "s"} to ${res.path}`);
+  };
+
+  return (
+    <div className="space-y-3 rounded-xl border border-white/10 bg-black/20 p-3">
+      <StylePreview style={draft} />
+      <label className="flex items-center justify-between gap-2">
+        <span>Name</span>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(event) => update({ name: event.target.value })}
+          className="w-40 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+        />
+      </label>
+      <label className="flex items-center justify-between gap-2">
+        <span>Font</span>
+        <input
+          type="text"
+          value={draft.font}
+          onChange={(event) => update({ font: event.target.value })}
+          className="w-40 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+        />
+      </label>
+      <div className="flex flex-wrap gap-4">
+        {FLAG_FIELDS.map(([key, label]) => (
+          <label key={key} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={Boolean(draft[key])}
+              onChange={(event) => update({ [key]: event.target.checked })}
+              className="h-4 w-4 accent-neon"
+            />
+            <span>{label}</span>
+          </label>
+        ))}
+      </div>
+      {COLOR_FIELDS.map(([key, label]) => (
+        <label key={key} className="flex items-center justify-between">
+          <span>{label}</span>
+          <input
+            type="color"
+            value={draft[key]}
+            onChange={(event) => update({ [key]: event.target.value })}
+            className={colorClass}
+          />
+        </label>
+      ))}
+      <label className="flex items-center justify-between">
+        <span>Box behind text</span>
+        <input
+          type="checkbox"
+          checked={Boolean(draft.box)}
+          onChange={(event) => update({ box: event.target.checked })}
+          className="h-4 w-4 accent-neon"
+        />
+      </label>
+      {draft.box ? (
+        <label className="flex items-center justify-between">
+          <span>Box opacity (%)</span>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={draft.boxOpacity}
+            onChange={(event) => update({ boxOpacity: Number(event.target.value) })}
+            className={inputClass}
+          />
+        </label>
+      ) : null}
+      {NUMBER_FIELDS.map(([key, label, min, max]) => (
+        <label key={key} className="flex items-center justify-between">
+          <span>{label}</span>
+          <input
+            type="number"
+            min={min}
+            max={max}
+            value={draft[key]}
+            onChange={(event) => update({ [key]: Number(event.target.value) })}
+            className={inputClass}
+          />
+        </label>
+      ))}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => saveStyle(draft, `Saved "${draft.name}"`)}
+          className={buttonClass}
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            saveStyle(
+              { ...draft, id: undefined, builtIn: false, name: `${draft.name} copy` },
+              `Duplicated "${draft.name}"`
+            )
+          }
+          className={buttonClass}
+        >
+          Duplicate
+        </button>
+        <button
+          type="button"
+          onClick={deleteStyle}
+          disabled={!draft.customized}
+          className={buttonClass}
+        >
+          {draft.builtIn ? "Reset" : "Delete"}
+        </button>
+        <button type="button" onClick={importStyles} className={buttonClass}>
+          Import
+        </button>
+        <button type="button" onClick={exportStyles} className={buttonClass}>
+          Export
+        </button>
+      </div>
+      <p className="text-xs text-white/50">
+        Saved styles live in your app data. Export them as JSON to share one look with the team.
+      </p>
+      {message ? <p className="text-xs text-white/60">{message}</p> : null}
+    </div>
+  );
+}
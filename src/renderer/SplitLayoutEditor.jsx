@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+
+const RECT_FIELDS = [
+  ["x", "X"],
+  ["y", "Y"],
+  ["w", "W"],
+  ["h", "H"]
+];
+
+const inputClass =
+  "w-16 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white";
+const buttonClass =
+  "rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-50";
+
+function toPercent(value) {
+  return Math.round((Number(value) || 0) * 100);
+}
+
+function RectInputs({ label, rect, onChange }) {
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <span>{label}</span>
+      <div className="flex gap-1">
+        {RECT_FIELDS.map(([key, name]) => (
+          <input
+            key={key}
+            type="number"
+            min="0"
+            max="100"
+            title={`${name} (% of frame)`}
+            value={toPercent(rect?.[key])}
+            onChange={(event) =>
+              onChange({ ...rect, [key]: Math.min(Math.max(Number(event.target.value), 0), 100) / 100 })
+            }
+            className={inputClass}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RectPreview({ rect, className }) {
+  if (!rect) return null;
+  return (
+    <div
+      className={`absolute rounded-sm border ${className}`}
+      style={{
+        left: `${toPercent(rect.x)}%`,
+        top: `${toPercent(rect.y)}%`,
+        width: `${toPercent(rect.w)}%`,
+        height: `${toPercent(rect.h)}%`
+      }}
+    />
+  );
+}
+
+export default function SplitLayoutEditor({ layout, onChange }) {
+  const [savedLayouts, setSavedLayouts] = useState([]);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    window.api?.listLayouts?.().then((res) => {
+      if (res?.layouts) setSavedLayouts(res.layouts);
+    });
+  }, []);
+
+  const update = (patch) => onChange({ ...layout, ...patch });
+
+  const saveLayout = async () => {
+    const name = (layout.name || "").trim();
+    if (!name) {
+      setMessage("Name the layout to save it.");
+      return;
+    }
+    const existing = savedLayouts.find((item) => item.name === name);
+    const res = await window.api?.saveLayout?.({ ...layout, name, id: existing?.id });
+    if (res?.error) {
+      setMessage(res.error);
+      return;
+    }
+    setSavedLayouts(res?.layouts || []);
+    if (res?.layout) onChange(res.layout);
+    setMessage(`Saved "${name}"`);
+  };
+
+  const deleteLayout = async () => {
+    if (!layout.id) return;
+    const res = await window.api?.deleteLayout?.(layout.id);
+    if (res?.error) {
+      setMessage(res.error);
+      return;
+    }
+    setSavedLayouts(res?.layouts || []);
+    update({ id: undefined });
+    setMessage("Layout deleted");
+  };
+
+  return (
+    <div className="space-y-3 rounded-xl border border-white/10 bg-black/20 p-3">
+      <label className="flex items-center justify-between">
+        <span>Saved layout</span>
+        <select
+          value={layout.id || ""}
+          onChange={(event) => {
+            const picked = savedLayouts.find((item) => item.id === event.target.value);
+            if (picked) onChange(picked);
+          }}
+          className="max-w-[10rem] rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+        >
+          <option value="">Unsaved</option>
+          {savedLayouts.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="relative aspect-video w-full rounded-lg border border-white/10 bg-black/40">
+        <RectPreview rect={layout.content} className="border-electric/80 bg-electric/10" />
+        <RectPreview rect={layout.camera} className="border-neon/80 bg-neon/20" />
+      </div>
+      <p className="text-xs text-white/50">Regions are % of the source frame (x, y, width, height).</p>
+
+      <RectInputs
+        label="Camera region"
+        rect={layout.camera}
+        onChange={(camera) => update({ camera })}
+      />
+      <RectInputs
+        label="Content region"
+        rect={layout.content}
+        onChange={(content) => update({ content })}
+      />
+      <label className="flex items-center justify-between">
+        <span>Camera share (%)</span>
+        <input
+          type="number"
+          min="15"
+          max="70"
+          value={toPercent(layout.cameraRatio)}
+          onChange={(event) => update({ cameraRatio: Number(event.target.value) / 100 })}
+          className={inputClass}
+        />
+      </label>
+      <label className="flex items-center justify-between">
+        <span>Camera panel</span>
+        <select
+          value={layout.cameraPosition || "top"}
+          onChange={(event) => update({ cameraPosition: event.target.value })}
+          className="rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+        >
+          <option value="top">Top</option>
+          <option value="bottom">Bottom</option>
+        </select>
+      </label>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          placeholder="Layout name"
+          value={layout.name || ""}
+          onChange={(event) => update({ name: event.target.value })}
+          className="min-w-0 flex-1 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+        />
+        <button type="button" onClick={saveLayout} className={buttonClass}>
+          Save
+        </button>
+        <button type="button" onClick={deleteLayout} disabled={!layout.id} className={buttonClass}>
+          Delete
+        </button>
+      </div>
+      {message ? <p className="text-xs text-white/60">{message}</p> : null}
+    </div>
+  );
+}
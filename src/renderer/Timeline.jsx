@@ -0,0 +1,254 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const NUDGE_SEC = 0.5;
+
+function formatTime(totalSeconds) {
+  const value = Math.max(Number(totalSeconds) || 0, 0);
+  const minutes = Math.floor(value / 60);
+  const seconds = (value % 60).toFixed(1).padStart(4, "0");
+  return `${minutes}:${seconds}`;
+}
+
+export function toMediaUrl(filePath) {
+  return filePath ? `media://local/${encodeURIComponent(filePath)}` : "";
+}
+
+export default function Timeline({
+  videoPath,
+  range,
+  candidates,
+  onRangeChange,
+  segments,
+  onSegmentsChange
+}) {
+  const videoRef = useRef(null);
+  const barRef = useRef(null);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [scrubbing, setScrubbing] = useState(false);
+
+  useEffect(() => {
+    setDuration(0);
+    setCurrentTime(0);
+  }, [videoPath]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !range) return undefined;
+    // Stop at the out point while previewing the selected range.
+    const handleTime = () => {
+      if (!video.paused && video.currentTime >= range.end) {
+        video.pause();
+        video.currentTime = range.end;
+      }
+    };
+    video.addEventListener("timeupdate", handleTime);
+    return () => video.removeEventListener("timeupdate", handleTime);
+  }, [range]);
+
+  const seek = (time) => {
+    const clamped = Math.min(Math.max(time, 0), duration || 0);
+    if (videoRef.current) videoRef.current.currentTime = clamped;
+    setCurrentTime(clamped);
+  };
+
+  const seekFromPointer = (event) => {
+    const bar = barRef.current;
+    if (!bar || !duration) return;
+    const rect = bar.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    seek(ratio * duration);
+  };
+
+  // In and out stay at least 1s apart, the shortest range the pipeline renders.
+  const setRange = (start, end) => {
+    const safeStart = Number(Math.min(Math.max(start, 0), Math.max(duration - 1, 0)).toFixed(2));
+    const safeEnd = Number(Math.min(Math.max(end, safeStart + 1), duration).toFixed(2));
+    onRangeChange?.({ start: safeStart, end: safeEnd });
+  };
+
+  const setIn = () => setRange(currentTime, range ? range.end : currentTime + 30);
+  const setOut = () => setRange(range ? range.start : Math.max(currentTime - 30, 0), currentTime);
+
+  const nudge = (edge, delta) => {
+    if (!range) return;
+    if (edge === "start") setRange(range.start + delta, range.end);
+    else setRange(range.start, range.end + delta);
+  };
+
+  const playRange = () => {
+    if (!range || !videoRef.current) return;
+    seek(range.start);
+    videoRef.current.play();
+  };
+
+  // Montage segments are kept in source order, which is how they will play.
+  const addSegment = () => {
+    if (!range) return;
+    const next = [...(segments || []), range].sort((a, b) => a.start - b.start);
+    onSegmentsChange?.(next);
+  };
+
+  const removeSegment = (index) => {
+    onSegmentsChange?.((segments || []).filter((_, itemIndex) => itemIndex !== index));
+  };
+
+  const percent = (time) => (duration ? `${(time / duration) * 100}%` : "0%");
+  const buttonClass =
+    "rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-50";
+
+  return (
+    <div className="space-y-4">
+      <video
+        ref={videoRef}
+        src={toMediaUrl(videoPath)}
+        onLoadedMetadata={(event) => setDuration(event.currentTarget.duration || 0)}
+        onTimeUpdate={(event) => {
+          if (!scrubbing) setCurrentTime(event.currentTarget.currentTime);
+        }}
+        onClick={(event) => {
+          const video = event.currentTarget;
+          if (video.paused) video.play();
+          else video.pause();
+        }}
+        className="max-h-80 w-full rounded-2xl bg-black object-contain"
+      />
+
+      <div
+        ref={barRef}
+        onPointerDown={(event) => {
+          event.currentTarget.setPointerCapture(event.pointerId);
+          setScrubbing(true);
+          seekFromPointer(event);
+        }}
+        onPointerMove={(event) => {
+          if (scrubbing) seekFromPointer(event);
+        }}
+        onPointerUp={() => setScrubbing(false)}
+        className="relative h-10 cursor-pointer rounded-xl border border-white/10 bg-black/40"
+      >
+        {(candidates || []).map((candidate, index) => (
+          <button
+            key={`${candidate.start}-${index}`}
+            type="button"
+            title={`#${index + 1} • ${formatTime(candidate.start)} • score ${candidate.score ?? "-"}`}
+            onPointerDown={(event) => event.stopPropagation()}
+            onClick={() => {
+              setRange(candidate.start, candidate.start + candidate.duration);
+              seek(candidate.start);
+            }}
+            className="absolute top-1 h-3 rounded-full bg-electric/70 transition hover:bg-electric"
+            style={{
+              left: percent(candidate.start),
+              width: percent(candidate.duration)
+            }}
+          />
+        ))}
+        {(segments || []).map((segment, index) => (
+          <div
+            key={`${segment.start}-${index}`}
+            className="pointer-events-none absolute bottom-1 top-5 rounded-md bg-electric/40"
+            style={{ left: percent(segment.start), width: percent(segment.end - segment.start) }}
+          />
+        ))}
+        {range ? (
+          <div
+            className="pointer-events-none absolute bottom-1 top-5 rounded-md border border-neon/70 bg-neon/20"
+            style={{ left: percent(range.start), width: percent(range.end - range.start) }}
+          />
+        ) : null}
+        <div
+          className="pointer-events-none absolute inset-y-0 w-0.5 bg-white"
+          style={{ left: percent(currentTime) }}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 text-xs text-slate-300">
+        <span>
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+        <span>
+          {range
+            ? `In ${formatTime(range.start)} • Out ${formatTime(range.end)} • ${(
+                range.end - range.start
+              ).toFixed(1)}s`
+            : "Auto mode: best moment is picked for you"}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={setIn} disabled={!duration} className={buttonClass}>
+          Set in
+        </button>
+        <button type="button" onClick={setOut} disabled={!duration} className={buttonClass}>
+          Set out
+        </button>
+        <button
+          type="button"
+          onClick={() => nudge("start", -NUDGE_SEC)}
+          disabled={!range}
+          className={buttonClass}
+        >
+          In −{NUDGE_SEC}s
+        </button>
+        <button
+          type="button"
+          onClick={() => nudge("start", NUDGE_SEC)}
+          disabled={!range}
+          className={buttonClass}
+        >
+          In +{NUDGE_SEC}s
+        </button>
+        <button
+          type="button"
+          onClick={() => nudge("end", -NUDGE_SEC)}
+          disabled={!range}
+          className={buttonClass}
+        >
+          Out −{NUDGE_SEC}s
+        </button>
+        <button
+          type="button"
+          onClick={() => nudge("end", NUDGE_SEC)}
+          disabled={!range}
+          className={buttonClass}
+        >
+          Out +{NUDGE_SEC}s
+        </button>
+        <button type="button" onClick={playRange} disabled={!range} className={buttonClass}>
+          Play range
+        </button>
+        <button
+          type="button"
+          onClick={() => onRangeChange?.(null)}
+          disabled={!range}
+          className={buttonClass}
+        >
+          Use auto mode
+        </button>
+        {onSegmentsChange ? (
+          <button type="button" onClick={addSegment} disabled={!range} className={buttonClass}>
+            Add to montage
+          </button>
+        ) : null}
+      </div>
+
+      {onSegmentsChange && segments?.length ? (
+        <div className="flex flex-wrap gap-2 text-xs text-slate-300">
+          <span className="py-1">Montage:</span>
+          {segments.map((segment, index) => (
+            <button
+              key={`${segment.start}-${index}`}
+              type="button"
+              title="Remove from montage"
+              onClick={() => removeSegment(index)}
+              className={buttonClass}
+            >
+              {index + 1}. {formatTime(segment.start)}–{formatTime(segment.end)} ×
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
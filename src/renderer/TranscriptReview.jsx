@@ -0,0 +1,241 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const buttonClass =
+  "rounded-full border border-white/15 bg-black/50 px-3 py-1 text-xs font-semibold text-white transition hover:border-neon/60 hover:text-neon disabled:cursor-not-allowed disabled:opacity-50";
+const timeClass =
+  "w-24 rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-right text-white";
+
+function formatTimestamp(totalSeconds) {
+  const value = Math.max(Number(totalSeconds) || 0, 0);
+  const minutes = Math.floor(value / 60);
+  const seconds = (value % 60).toFixed(2).padStart(5, "0");
+  return `${minutes}:${seconds}`;
+}
+
+function splitTokens(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Spreads tokens over a span by length, for text that no longer lines up
+// with the words Whisper timed.
+function spreadWords(tokens, start, end) {
+  const total = tokens.reduce((sum, token) => sum + token.length, 0) || 1;
+  let cursor = start;
+  return tokens.map((token) => {
+    const wordStart = cursor;
+    cursor += ((end - start) * token.length) / total;
+    return { start: wordStart, end: cursor, text: token };
+  });
+}
+
+// Word timings follow edited text: kept when the word count still matches,
+// re-spread otherwise. Untouched lines keep Whisper's words as they are, and
+// lines without word timings stay without.
+function syncWords(line) {
+  if (!line.edited || !line.words.length) return line;
+  const tokens = splitTokens(line.text);
+  const words =
+    tokens.length === line.words.length
+      ? line.words.map((word, index) => ({ ...word, text: tokens[index] }))
+      : spreadWords(tokens, line.start, line.end);
+  return { ...line, words, edited: false };
+}
+
+function retimeLine(line, start, end) {
+  const from = Math.max(line.end - line.start, 0.01);
+  const scale = (end - start) / from;
+  const move = (time) => start + (time - line.start) * scale;
+  return {
+    ...line,
+    start,
+    end,
+    words: line.words.map((word) => ({ ...word, start: move(word.start), end: move(word.end) }))
+  };
+}
+
+function splitLine(line, caret) {
+  const tokens = splitTokens(line.text);
+  const at = caret > 0 && caret < line.text.length ? caret : Math.floor(line.text.length / 2);
+  const head = splitTokens(line.text.slice(0, at)).length;
+  if (head < 1 || head >= tokens.length) return null;
+  const synced = syncWords(line);
+  // Words that match the text split at the same word; otherwise the split
+  // time follows the caret's share of the text.
+  const byWord = synced.words.length === tokens.length;
+  const splitTime = byWord
+    ? synced.words[head].start
+    : line.start + ((line.end - line.start) * at) / line.text.length;
+  const isHead = (word, index) =>
+    byWord ? index < head : (word.start + word.end) / 2 < splitTime;
+  return [
+    {
+      start: line.start,
+      end: splitTime,
+      text: tokens.slice(0, head).join(" "),
+      words: synced.words.filter((word, index) => isHead(word, index))
+    },
+    {
+      start: splitTime,
+      end: line.end,
+      text: tokens.slice(head).join(" "),
+      words: synced.words.filter((word, index) => !isHead(word, index))
+    }
+  ];
+}
+
+function mergeLines(first, second) {
+  const a = syncWords(first);
+  const b = syncWords(second);
+  return {
+    start: Math.min(a.start, b.start),
+    end: Math.max(a.end, b.end),
+    text: `${a.text} ${b.text}`.trim(),
+    words: [...a.words, ...b.words]
+  };
+}
+
+export default function TranscriptReview({ request, onSubmit, onCancel }) {
+  const [lines, setLines] = useState(request.lines);
+  const carets = useRef({});
+
+  useEffect(() => {
+    setLines(request.lines);
+    carets.current = {};
+  }, [request]);
+
+  const updateLine = (index, next) =>
+    setLines((prev) => prev.map((line, lineIndex) => (lineIndex === index ? next : line)));
+
+  const setTiming = (index, key, value) => {
+    const line = lines[index];
+    const time = Number(value);
+    if (!Number.isFinite(time)) return;
+    const start = key === "start" ? time : line.start;
+    const end = key === "end" ? time : line.end;
+    // Words only move once the span is valid again, so typing a time digit by
+    // digit does not scramble them.
+    updateLine(index, end > start ? retimeLine(line, start, end) : { ...line, start, end });
+  };
+
+  const split = (index) => {
+    const parts = splitLine(lines[index], carets.current[index]);
+    if (!parts) return;
+    carets.current = {};
+    setLines((prev) => [...prev.slice(0, index), ...parts, ...prev.slice(index + 1)]);
+  };
+
+  const merge = (index) => {
+    carets.current = {};
+    setLines((prev) => [
+      ...prev.slice(0, index),
+      mergeLines(prev[index], prev[index + 1]),
+      ...prev.slice(index + 2)
+    ]);
+  };
+
+  const remove = (index) => {
+    carets.current = {};
+    setLines((prev) => prev.filter((_, lineIndex) => lineIndex !== index));
+  };
+
+  const submit = () =>
+    onSubmit(lines.map(syncWords).filter((line) => line.text.trim()));
+
+  const clip = request.clip;
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black/70 p-6">
+      <div className="flex max-h-full w-full max-w-3xl flex-col rounded-3xl border border-white/10 bg-ink p-6 shadow-2xl shadow-black/50">
+        <p className="text-sm uppercase tracking-[0.2em] text-white/70">
+          Review transcript{clip?.total > 1 ? ` • clip ${clip.index} of ${clip.total}` : ""}
+        </p>
+        <p className="mt-2 text-sm text-white/70">
+          Fix names and terms before the captions are burned in. Times are in the source video;
+          place the cursor in a line to split it there.
+        </p>
+        <ol className="mt-4 flex-1 space-y-3 overflow-y-auto pr-1 text-sm">
+          {lines.map((line, index) => (
+            <li
+              key={index}
+              className="space-y-2 rounded-xl border border-white/10 bg-black/20 p-3"
+            >
+              <div className="flex flex-wrap items-center gap-2 text-xs text-white/70">
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={Number(line.start.toFixed(2))}
+                  onChange={(event) => setTiming(index, "start", event.target.value)}
+                  className={timeClass}
+                  title="Start (seconds)"
+                />
+                <span>→</span>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={Number(line.end.toFixed(2))}
+                  onChange={(event) => setTiming(index, "end", event.target.value)}
+                  className={timeClass}
+                  title="End (seconds)"
+                />
+                <span>
+                  {formatTimestamp(line.start)} – {formatTimestamp(line.end)}
+                </span>
+                <div className="ml-auto flex gap-2">
+                  <button type="button" onClick={() => split(index)} className={buttonClass}>
+                    Split
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => merge(index)}
+                    disabled={index === lines.length - 1}
+                    className={buttonClass}
+                  >
+                    Merge next
+                  </button>
+                  <button type="button" onClick={() => remove(index)} className={buttonClass}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+              <input
+                type="text"
+                value={line.text}
+                onChange={(event) =>
+                  updateLine(index, { ...line, text: event.target.value, edited: true })
+                }
+                onSelect={(event) => {
+                  carets.current[index] = event.target.selectionStart;
+                }}
+                className="w-full rounded-lg border border-white/10 bg-black/40 px-2 py-1 text-white"
+              />
+            </li>
+          ))}
+        </ol>
+        {!lines.length ? (
+          <p className="mt-4 text-sm text-white/70">No lines left; the clip renders without captions.</p>
+        ) : null}
+        <div className="mt-6 flex flex-wrap gap-3">
+          <button
+            onClick={submit}
+            className="rounded-full bg-neon px-5 py-2 text-sm font-semibold text-ink shadow-xl shadow-neon/30 transition hover:brightness-110"
+          >
+            Render with these captions
+          </button>
+          <button
+            onClick={() => setLines(request.lines)}
+            className="rounded-full border border-white/15 bg-black/50 px-5 py-2 text-sm font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+          >
+            Reset
+          </button>
+          <button
+            onClick={onCancel}
+            className="rounded-full border border-white/15 bg-black/50 px-5 py-2 text-sm font-semibold text-white transition hover:border-neon/60 hover:text-neon"
+          >
+            Cancel render
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}